@@ -0,0 +1,43 @@
+import { join } from "path";
+import { comparePrompts, writePromptComparison } from "./src/mastra/policy-sync/prompt-comparison";
+import { PROMPT_TEMPLATES, promptId } from "./src/mastra/policy-sync/prompts";
+
+// Runs two prompt versions over the archived text of the current policy versions and diffs their rules:
+//   npm run compare-prompts -- <baseline> <candidate> [manufacturer ...]
+
+const [baseline, candidate, ...manufacturers] = process.argv.slice(2);
+
+async function main() {
+  if (!baseline || !candidate) {
+    console.log("Usage: npm run compare-prompts -- <baseline> <candidate> [manufacturer ...]\n\nPrompts:");
+    for (const template of PROMPT_TEMPLATES) {
+      console.log(`  ${promptId(template).padEnd(20)} ${template.description}`);
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await comparePrompts({
+    baseline,
+    candidate,
+    manufacturers: manufacturers.length > 0 ? manufacturers : undefined,
+  });
+  const path = await writePromptComparison(join(process.cwd(), "output"), report);
+
+  for (const document of report.documents) {
+    const outcome = document.diff
+      ? `${document.diff.added} added, ${document.diff.removed} removed, ${document.diff.modified} modified, ${document.diff.unchanged} unchanged`
+      : `not compared, ${document.error}`;
+    console.log(`${document.manufacturer} ${document.type} ${document.url}: ${outcome}`);
+  }
+  const { summary } = report;
+  console.log(`\n${report.baseline}: ${summary.baselineRules} rules, ${report.candidate}: ${summary.candidateRules} rules`);
+  console.log(`Report written to ${path}`);
+
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
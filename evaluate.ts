@@ -0,0 +1,61 @@
+import { resolve } from "path";
+import { runEvaluation, SCORED_FIELDS } from "./src/mastra/policy-sync/evaluation";
+import { applyModelOverride, describeModel } from "./src/mastra/policy-sync/models";
+import { loadSyncConfig } from "./src/mastra/policy-sync/config";
+import { extractionScorers } from "./src/mastra/scorers/extractionScorers";
+
+// Scores rule extraction against the hand-labeled golden sets:
+//   npm run eval -- [golden dir] [--model <provider>/<model>] [--prompt <name>@<version>]
+// Set POLICY_SYNC_LLM_FIXTURES to evaluate recorded responses instead of calling the model.
+
+const args = process.argv.slice(2);
+
+function option(name: string): string | undefined {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args.splice(index, 2)[1];
+}
+
+const modelId = option("--model");
+const prompt = option("--prompt");
+const goldenDir = resolve(args[0] ?? "test/fixtures/golden");
+
+const percent = (value: number | null | undefined) => (value == null ? "-" : `${Math.round(value * 100)}%`);
+
+async function main() {
+  const config = loadSyncConfig();
+  const report = await runEvaluation({
+    goldenDir,
+    config,
+    model: modelId ? applyModelOverride(config.model, { model: modelId }) : undefined,
+    prompt,
+    scorers: Object.values(extractionScorers),
+  });
+
+  console.log(`Evaluation ${report.id} with ${describeModel(report.model)} and prompt ${report.prompt}\n`);
+  for (const set of report.sets) {
+    if (!set.comparison) {
+      console.log(`${set.name}: failed, ${set.error}`);
+      continue;
+    }
+    const { comparison } = set;
+    console.log(`${set.name}: ${comparison.matched}/${comparison.golden} rules matched, ${comparison.extracted} extracted`);
+    for (const [name, { score, reason }] of Object.entries(set.scores ?? {})) {
+      console.log(`  ${name.padEnd(18)} ${percent(score).padStart(4)}  ${reason ?? ""}`);
+    }
+  }
+
+  const { summary } = report;
+  console.log(`\nOverall: precision ${percent(summary.precision)}, recall ${percent(summary.recall)}, split ${percent(summary.splitScore)}, evidence ${percent(summary.evidenceFidelity)}`);
+  console.log(`\n${"Field".padEnd(22)} Precision  Recall`);
+  for (const field of SCORED_FIELDS) {
+    const { precision, recall } = summary.fields[field];
+    console.log(`${field.padEnd(22)} ${percent(precision).padStart(9)}  ${percent(recall).padStart(6)}`);
+  }
+
+  if (report.sets.some(set => set.error)) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
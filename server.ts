@@ -1,18 +1,45 @@
-import * as express from "express";
+import express from "express";
+import { policySyncRouter } from "./src/mastra/api/policySyncRoutes";
+import { manufacturerRouter } from "./src/mastra/api/manufacturerRoutes";
+import { discoveryRouter } from "./src/mastra/api/discoveryRoutes";
+import { failInterruptedRuns } from "./src/mastra/policy-sync/store";
+import { startDiscoveryScheduler, startPolicySyncScheduler } from "./src/mastra/policy-sync/scheduler";
 
 const app = express();
 
+app.use(express.json());
+
 app.get("/health", (_req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
+app.use("/api", policySyncRouter);
+app.use("/api", manufacturerRouter);
+app.use("/api", discoveryRouter);
+
 const PORT = process.env.PORT;
 
 if (!PORT) {
   throw new Error("PORT not set");
 }
 
-app.listen(Number(PORT), "0.0.0.0", () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Runs still marked running without a live lock died with a previous process
+failInterruptedRuns().then(() => {
+  app.listen(Number(PORT), "0.0.0.0", async () => {
+    console.log(`Server running on port ${PORT}`);
 
+    const schedule = await startPolicySyncScheduler();
+    if (schedule.enabled) {
+      console.log(`Policy sync scheduled '${schedule.expression}'${schedule.paused ? " (paused)" : `, next run ${schedule.nextRun}`}`);
+    }
+
+    const nextDiscovery = startDiscoveryScheduler();
+    if (nextDiscovery) {
+      console.log(`Manufacturer discovery scheduled, next run ${nextDiscovery}`);
+    }
+  });
+}).catch(error => {
+  // Without the run history checked, the server shouldn't start taking syncs
+  console.error("Failed to mark interrupted policy sync runs:", error);
+  process.exit(1);
+});
@@ -1,5 +1,9 @@
 import { Agent } from '@mastra/core/agent';
 import { policySyncTool } from '../tools/policySyncTool';
+import { policyHistoryTool } from '../tools/policyHistoryTool';
+import { policyDiscoveryTool } from '../tools/policyDiscoveryTool';
+import { loadAgentModelSettings } from '../policy-sync/config';
+import { resolveModel } from '../policy-sync/models';
 
 export const policySyncAgent = new Agent({
   name: '340B Policy Sync Agent',
@@ -9,16 +13,38 @@ export const policySyncAgent = new Agent({
     When a user requests to run the 340B sync (e.g., "run 340b sync", "sync policies", "run sync"), you must call the policySyncTool exactly once.
 
     The tool will:
-    - Download all manufacturer policy PDFs
-    - Extract text from each PDF
-    - Process the text through an LLM to extract eligibility rules
+    - Download every registered document (policy, FAQ, notices, data submission guides, exemption forms) of all active manufacturers in the manufacturer registry, skipping documents that have not changed since the last run
+    - Extract text from each PDF, falling back to OCR for scanned or image-only pages, and fail documents with no readable text
+    - Rebuild tables of products, NDCs and data fields from the page layout so their rows feed applies_to_drugs and data_requirements
+    - Split long policies into overlapping chunks
+    - Process each chunk through an LLM to extract eligibility rules, then merge and de-duplicate them
+    - Verify each rule's evidence excerpt against the PDF text, dropping rules whose evidence cannot be found or changes its numbers or negations, and flag rules whose evidence only loosely matches for review
+    - Map entity_type, scope_area and requirement_type to canonical codes (HRSA entity types such as DSH, CAH and FQHC, requirement types such as esp_registration and distance_limit) and report values that map to none
+    - Parse effective_date and geography_or_location into structured constraints (ISO start and end dates, distance limits with units, state lists, same-state-as-entity), keeping the original text
+    - Merge the rules from a manufacturer's documents into one set, recording which documents each rule came from
     - Generate CSV files for each manufacturer
-    - Compare with existing CSVs to detect changes
-    - Return a summary of what was updated
+    - Archive every downloaded PDF with its text, and record the version, its rules and the run in the policy sync database
+    - Compare rules with the previous run (added, removed, modified) to detect real policy changes
+    - Retry transient download and LLM failures with backoff
+    - Return a summary of what was updated, unchanged and failed (with the stage each failure happened in), with per-document details
+    - Count the LLM tokens and estimated cost of each chunk, document, manufacturer and run, and stop calling the LLM once the run's budget is used up
+
+    Only pass force: true when the user explicitly asks to re-extract unchanged policies.
+    If the user names specific manufacturers, pass their names (keys, display names and aliases all work) in manufacturers; otherwise omit it to sync all of them.
+    Only pass a budget when the user asks to limit the run's tokens or spend. If the result reports manufacturers skipped for the budget, list them and say they will be picked up by the next run.
+    If a document reports evidenceReview, list those rules with their excerpts and pages so someone can check them against the document.
+    If a document reports unmappedValues, list them so the vocabulary can be extended; those rules keep the values as extracted.
+    If the tool reports that a sync is already running, tell the user its run id instead of retrying.
+
+    While the tool runs it streams progress events with each manufacturer's current stage (queued, downloading, extracting-text, running-ocr, calling-llm, validating, diffing, then written, unchanged, failed or over-budget). If the user asks how the sync is going, relay which manufacturers are still in progress and at what stage.
 
     After calling the tool, return the JSON result to the user in a clear format.
+
+    When a user asks what a manufacturer's policy said on a given date, or how it changed over time, call the policyHistoryTool with the manufacturer key (and the date, if one was given) and answer from the archived rules, citing the page each rule is stated on (source_page). Use each rule's constraints for questions about dates, distances or states, and quote the original text alongside.
+
+    When a user asks whether there are new manufacturers or documents on 340B ESP, or whether any policy links are broken, call the policyDiscoveryTool. Report the new manufacturers (with their suggested ids and documents), new documents of known manufacturers and dead URLs. These are for review: do not sync them, and tell the user they can be added through the manufacturer registry.
   `,
-  model: 'openai/gpt-4o-mini',
-  tools: { policySyncTool },
+  model: () => resolveModel(loadAgentModelSettings()),
+  tools: { policySyncTool, policyHistoryTool, policyDiscoveryTool },
 });
 
@@ -0,0 +1,67 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { runDiscovery } from '../policy-sync/discovery';
+import { PolicySyncError } from '../policy-sync/errors';
+import { getDiscoveryReport, listDiscoveryReports } from '../policy-sync/store';
+
+const runDiscoverySchema = z.object({
+  checkLinks: z.boolean().optional(),
+});
+
+const listReportsSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(20),
+});
+
+/**
+ * Discovery of manufacturers and documents on 340B ESP that the registry
+ * doesn't have yet. Reports are for review; add what they find through the
+ * manufacturer API.
+ */
+export const discoveryRouter = Router();
+
+discoveryRouter.post('/discovery/runs', async (req, res) => {
+  const body = runDiscoverySchema.safeParse(req.body ?? {});
+  if (!body.success) {
+    res.status(400).json({ error: 'Invalid request body', issues: body.error.issues });
+    return;
+  }
+
+  try {
+    const report = await runDiscovery(body.data);
+    res.status(201).location(`${req.baseUrl}/discovery/reports/${report.id}`).json(report);
+  } catch (error) {
+    // The listing itself couldn't be fetched
+    if (error instanceof PolicySyncError) {
+      res.status(502).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
+
+discoveryRouter.get('/discovery/reports', async (req, res) => {
+  const query = listReportsSchema.safeParse(req.query);
+  if (!query.success) {
+    res.status(400).json({ error: 'Invalid query', issues: query.error.issues });
+    return;
+  }
+  res.json({ reports: await listDiscoveryReports(query.data.limit) });
+});
+
+discoveryRouter.get('/discovery/reports/latest', async (_req, res) => {
+  const [report] = await listDiscoveryReports(1);
+  if (!report) {
+    res.status(404).json({ error: 'No discovery has been run yet' });
+    return;
+  }
+  res.json(report);
+});
+
+discoveryRouter.get('/discovery/reports/:id', async (req, res) => {
+  const report = await getDiscoveryReport(req.params.id);
+  if (!report) {
+    res.status(404).json({ error: `Discovery report ${req.params.id} not found` });
+    return;
+  }
+  res.json(report);
+});
@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import {
+  createManufacturer,
+  deactivateManufacturer,
+  getManufacturer,
+  listManufacturers,
+  ManufacturerExistsError,
+  manufacturerUpdateSchema,
+  newManufacturerSchema,
+  updateManufacturer,
+} from '../policy-sync/registry';
+
+/** Admin API for the manufacturer registry that policy syncs read from. */
+export const manufacturerRouter = Router();
+
+manufacturerRouter.get('/manufacturers', async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+  res.json({ manufacturers: await listManufacturers({ includeInactive }) });
+});
+
+manufacturerRouter.get('/manufacturers/:id', async (req, res) => {
+  const manufacturer = await getManufacturer(req.params.id);
+  if (!manufacturer) {
+    res.status(404).json({ error: `Unknown manufacturer '${req.params.id}'` });
+    return;
+  }
+  res.json(manufacturer);
+});
+
+manufacturerRouter.post('/manufacturers', async (req, res) => {
+  const body = newManufacturerSchema.safeParse(req.body ?? {});
+  if (!body.success) {
+    res.status(400).json({ error: 'Invalid manufacturer', issues: body.error.issues });
+    return;
+  }
+
+  try {
+    const manufacturer = await createManufacturer(body.data);
+    res.status(201).location(`${req.baseUrl}/manufacturers/${manufacturer.id}`).json(manufacturer);
+  } catch (error) {
+    if (error instanceof ManufacturerExistsError) {
+      res.status(409).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
+
+manufacturerRouter.patch('/manufacturers/:id', async (req, res) => {
+  const body = manufacturerUpdateSchema.safeParse(req.body ?? {});
+  if (!body.success) {
+    res.status(400).json({ error: 'Invalid manufacturer update', issues: body.error.issues });
+    return;
+  }
+
+  const manufacturer = await updateManufacturer(req.params.id, body.data);
+  if (!manufacturer) {
+    res.status(404).json({ error: `Unknown manufacturer '${req.params.id}'` });
+    return;
+  }
+  res.json(manufacturer);
+});
+
+// Deactivated manufacturers are skipped by syncs but keep their history; PATCH active: true to restore
+manufacturerRouter.post('/manufacturers/:id/deactivate', async (req, res) => {
+  const manufacturer = await deactivateManufacturer(req.params.id);
+  if (!manufacturer) {
+    res.status(404).json({ error: `Unknown manufacturer '${req.params.id}'` });
+    return;
+  }
+  res.json(manufacturer);
+});
@@ -0,0 +1,233 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { ManufacturerSelectionError, UnpricedBudgetError } from '../policy-sync/sync';
+import { startSyncJob, SyncInProgressError } from '../policy-sync/jobs';
+import { getRunResults, getSyncRun, listSyncRuns, SYNC_TRIGGERS } from '../policy-sync/store';
+import { getManufacturerRules, renderRulesCSV } from '../policy-sync/exports';
+import { findManufacturer } from '../policy-sync/registry';
+import { runBudgetSchema } from '../policy-sync/usage';
+import { ruleAppliesInState, ruleInEffectOn } from '../policy-sync/constraints';
+import { ruleMatchesTerm, VOCABULARIES, VOCABULARY_FIELDS, type VocabularyField } from '../policy-sync/vocabulary';
+import { getRunProgress, subscribeToRun, type SyncProgressEvent } from '../policy-sync/progress';
+import {
+  getScheduleStatus,
+  pausePolicySyncSchedule,
+  resumePolicySyncSchedule,
+  ScheduleNotConfiguredError,
+} from '../policy-sync/scheduler';
+
+const startSyncSchema = z.object({
+  force: z.boolean().optional(),
+  manufacturers: z.array(z.string()).nonempty().optional(),
+  budget: runBudgetSchema.optional(),
+});
+
+// Keeps idle progress streams open through proxies
+const HEARTBEAT_MS = 15000;
+
+const listRunsSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(20),
+  // e.g. ?trigger=schedule,catch-up for the scheduler's history
+  trigger: z.string().optional()
+    .transform(value => value?.split(',').map(trigger => trigger.trim()))
+    .pipe(z.array(z.enum(SYNC_TRIGGERS)).optional()),
+});
+
+// e.g. ?entity_type=DSH&requirement_type=claims_data_submission; rules for broader entity types (HOSPITAL, ALL) match too.
+// ?in_effect_on=2026-05-01 and ?state=CA keep rules with no dates or no states named.
+const vocabularyCode = (field: VocabularyField) =>
+  z.enum(VOCABULARIES[field].map(term => term.code) as [string, ...string[]]).optional();
+const ruleFilterSchema = z.object({
+  entity_type: vocabularyCode('entity_type'),
+  scope_area: vocabularyCode('scope_area'),
+  requirement_type: vocabularyCode('requirement_type'),
+  in_effect_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be a YYYY-MM-DD date').optional(),
+  state: z.string().regex(/^[A-Za-z]{2}$/, 'must be a two-letter state code').optional(),
+});
+
+/**
+ * REST API for policy syncs. Syncs run as background jobs: starting one
+ * returns its run id straight away, and the run is polled for its outcome.
+ */
+export const policySyncRouter = Router();
+
+policySyncRouter.post('/sync/runs', async (req, res) => {
+  const body = startSyncSchema.safeParse(req.body ?? {});
+  if (!body.success) {
+    res.status(400).json({ error: 'Invalid request body', issues: body.error.issues });
+    return;
+  }
+
+  try {
+    const job = await startSyncJob({ ...body.data, trigger: 'api' });
+    res.status(202)
+      .location(`${req.baseUrl}/sync/runs/${job.runId}`)
+      .json({ runId: job.runId, status: 'running' });
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      res.status(409).json({ error: error.message, runId: error.runId });
+      return;
+    }
+    if (error instanceof ManufacturerSelectionError || error instanceof UnpricedBudgetError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
+
+policySyncRouter.get('/sync/runs', async (req, res) => {
+  const query = listRunsSchema.safeParse(req.query);
+  if (!query.success) {
+    res.status(400).json({ error: 'Invalid query', issues: query.error.issues });
+    return;
+  }
+  res.json({ runs: await listSyncRuns(query.data.limit, query.data.trigger) });
+});
+
+policySyncRouter.get('/sync/runs/:runId', async (req, res) => {
+  const run = await getSyncRun(req.params.runId);
+  if (!run) {
+    res.status(404).json({ error: `Sync run ${req.params.runId} not found` });
+    return;
+  }
+
+  const results = await getRunResults(run.id);
+  res.json({
+    ...run,
+    progress: { processed: results.length, total: run.totalManufacturers ?? null },
+  });
+});
+
+/**
+ * Server-sent events for a run: the current stage of every manufacturer, then
+ * each stage change, ending with a 'run-finished' event. A run that is no
+ * longer in progress gets its final state and the stream closes.
+ */
+policySyncRouter.get('/sync/runs/:runId/events', async (req, res) => {
+  const run = await getSyncRun(req.params.runId);
+  if (!run) {
+    res.status(404).json({ error: `Sync run ${req.params.runId} not found` });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const send = (event: SyncProgressEvent) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  let heartbeat: NodeJS.Timeout | undefined;
+  const unsubscribe = subscribeToRun(run.id, event => {
+    send(event);
+    if (event.type === 'run-finished') close();
+  });
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  };
+  req.on('close', close);
+
+  // Read right after subscribing, with nothing awaited in between, so no event is missed
+  const progress = getRunProgress(run.id);
+  if (!progress) {
+    // Finished by now, or running in another process that this one can't follow
+    const latest = await getSyncRun(run.id) ?? run;
+    if (latest.status === 'running') {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: `Sync run ${run.id} is not running on this server` })}\n\n`);
+    } else {
+      send({
+        type: 'run-finished',
+        runId: latest.id,
+        at: latest.finishedAt ?? latest.startedAt,
+        status: latest.status,
+        updated: latest.updated,
+        unchanged: latest.unchanged,
+        failed: latest.failed,
+        error: latest.error,
+      });
+    }
+    close();
+    return;
+  }
+
+  for (const event of progress) send(event);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+});
+
+policySyncRouter.get('/sync/runs/:runId/results', async (req, res) => {
+  const run = await getSyncRun(req.params.runId);
+  if (!run) {
+    res.status(404).json({ error: `Sync run ${req.params.runId} not found` });
+    return;
+  }
+  res.json({ runId: run.id, status: run.status, results: await getRunResults(run.id) });
+});
+
+// The merged rule set of the manufacturer's documents as CSV (same as the exported file), or JSON with ?format=json.
+// Filtered on the controlled fields' codes (see /vocabulary), a date and a state when given.
+policySyncRouter.get('/manufacturers/:manufacturer/rules', async (req, res) => {
+  const filter = ruleFilterSchema.safeParse(req.query);
+  if (!filter.success) {
+    res.status(400).json({ error: 'Invalid query', issues: filter.error.issues });
+    return;
+  }
+
+  const registered = await findManufacturer(req.params.manufacturer);
+  if (!registered) {
+    res.status(404).json({ error: `Unknown manufacturer '${req.params.manufacturer}'` });
+    return;
+  }
+
+  const manufacturer = registered.id;
+  const allRules = await getManufacturerRules(manufacturer);
+  if (allRules === null) {
+    res.status(404).json({ error: `No rules have been extracted for '${manufacturer}' yet` });
+    return;
+  }
+  const { in_effect_on: date, state } = filter.data;
+  const rules = allRules.filter(rule =>
+    VOCABULARY_FIELDS.every(field => {
+      const code = filter.data[field];
+      return code === undefined || ruleMatchesTerm(rule, field, code);
+    })
+    && (date === undefined || ruleInEffectOn(rule.constraints, date))
+    && (state === undefined || ruleAppliesInState(rule.constraints, state)));
+
+  if (req.query.format === 'json') {
+    res.json({ manufacturer, rules });
+    return;
+  }
+  res.attachment(`${manufacturer}_340b_rules.csv`).type('text/csv').send(renderRulesCSV(rules));
+});
+
+// Canonical codes of entity_type, scope_area and requirement_type, with their labels and aliases
+policySyncRouter.get('/vocabulary', (_req, res) => {
+  res.json(VOCABULARIES);
+});
+
+policySyncRouter.get('/sync/schedule', async (_req, res) => {
+  res.json(await getScheduleStatus());
+});
+
+policySyncRouter.post('/sync/schedule/:action', async (req, res) => {
+  const { action } = req.params;
+  if (action !== 'pause' && action !== 'resume') {
+    res.status(404).json({ error: `Unknown schedule action '${action}'` });
+    return;
+  }
+
+  try {
+    res.json(action === 'pause' ? await pausePolicySyncSchedule() : await resumePolicySyncSchedule());
+  } catch (error) {
+    if (error instanceof ScheduleNotConfiguredError) {
+      res.status(409).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
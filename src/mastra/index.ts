@@ -5,14 +5,16 @@ import { LibSQLStore } from '@mastra/libsql';
 import { weatherWorkflow } from './workflows/weather-workflow';
 import { weatherAgent } from './agents/weather-agent';
 import { policySyncAgent } from './agents/policySyncAgent';
+import { extractionScorers } from './scorers/extractionScorers';
 
 
 export const mastra = new Mastra({
   workflows: { weatherWorkflow },
   agents: { weatherAgent, policySyncAgent },
+  scorers: extractionScorers,
   storage: new LibSQLStore({
-    // stores observability, scores, ... into memory storage, if it needs to persist, change to file:../mastra.db
-    url: ":memory:",
+    // stores observability, scores, ... in the same file as agent memory; path is relative to the .mastra/output directory
+    url: "file:../mastra.db",
   }),
   logger: new PinoLogger({
     name: 'Mastra',
@@ -1,3 +1,5 @@
+// Seeds the manufacturer registry when the policy sync database is first set up.
+// After that, manufacturers are managed through the registry API, not here.
 export const MANUFACTURER_POLICIES: Record<string, string> = {
   abbvie: "https://340besp.com/resources/abbvie/policy.pdf",
   alkermes: "https://340besp.com/resources/alkermes/policy.pdf",
@@ -16,9 +18,24 @@ export const MANUFACTURER_POLICIES: Record<string, string> = {
   roche: "https://340besp.com/resources/roche/policy.pdf",
   sanofi: "https://340besp.com/resources/sanofi/policy.pdf",
   teva: "https://340besp.com/resources/teva/policy.pdf",
-  // Add more manufacturers as needed
 };
 
-
-
-
+export const MANUFACTURER_NAMES: Record<string, string> = {
+  abbvie: "AbbVie",
+  alkermes: "Alkermes",
+  amgen: "Amgen",
+  astrazeneca: "AstraZeneca",
+  biogen: "Biogen",
+  bristolmyerssquibb: "Bristol Myers Squibb",
+  elililly: "Eli Lilly",
+  gilead: "Gilead",
+  glaxosmithkline: "GlaxoSmithKline",
+  janssen: "Janssen",
+  merck: "Merck",
+  novartis: "Novartis",
+  pfizer: "Pfizer",
+  regeneron: "Regeneron",
+  roche: "Roche",
+  sanofi: "Sanofi",
+  teva: "Teva",
+};
@@ -0,0 +1,59 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import type { PolicyPage } from './chunking';
+import type { PolicyDocumentRef } from './documents';
+
+export interface ArchivedFiles {
+  archivedAt: string;
+  path: string;
+}
+
+// Pages are separated by form feeds in text.txt.
+const PAGE_SEPARATOR = '\f';
+
+// ISO timestamps with the colons and dot replaced so they are valid directory names.
+function toVersionName(timestamp: string): string {
+  return timestamp.replace(/[:.]/g, '-');
+}
+
+// Type plus a short URL hash, so each of a manufacturer's documents gets its own directory.
+function toDocumentName(document: PolicyDocumentRef): string {
+  return `${document.type}-${createHash('sha256').update(document.url).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Stores a downloaded document and its extracted text under
+ * `archive/<manufacturer>/<document>/<timestamp>/`. Directories are never
+ * overwritten; everything else about the version lives in the policy sync database.
+ */
+export async function archivePolicyFiles(
+  outputDir: string,
+  manufacturer: string,
+  document: PolicyDocumentRef,
+  pdf: Buffer,
+  pages?: PolicyPage[],
+): Promise<ArchivedFiles> {
+  const archivedAt = new Date().toISOString();
+  const path = join(outputDir, 'archive', manufacturer, toDocumentName(document), toVersionName(archivedAt));
+  await fs.mkdir(path, { recursive: true });
+
+  await fs.writeFile(join(path, `${document.type}.pdf`), pdf);
+  if (pages) {
+    await fs.writeFile(join(path, 'text.txt'), pages.map(page => page.text).join(PAGE_SEPARATOR), 'utf-8');
+  }
+
+  return { archivedAt, path };
+}
+
+/** Pages of text archived with a version, or null when it was archived without text. */
+export async function readArchivedText(path: string): Promise<PolicyPage[] | null> {
+  let text: string;
+  try {
+    text = await fs.readFile(join(path, 'text.txt'), 'utf-8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+    throw error;
+  }
+  return text.split(PAGE_SEPARATOR).map((pageText, index) => ({ pageNumber: index + 1, text: pageText }));
+}
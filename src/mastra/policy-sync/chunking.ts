@@ -0,0 +1,213 @@
+import type { PolicyRule } from './rules';
+import type { PolicyTable } from './layout';
+
+export interface PolicyPage {
+  pageNumber: number;
+  text: string;
+  /** Tables found in the page's text layer, also rendered into `text`. */
+  tables?: PolicyTable[];
+}
+
+export interface PolicyChunk {
+  index: number;
+  pageStart: number;
+  pageEnd: number;
+  text: string;
+}
+
+export interface ChunkingOptions {
+  maxChars?: number;
+  overlapChars?: number;
+}
+
+export interface RuleProvenance {
+  chunks: number[];
+  pageStart: number;
+  pageEnd: number;
+}
+
+export type SourcedRule = PolicyRule & { provenance: RuleProvenance };
+
+const DEFAULT_MAX_CHARS = 12000;
+const DEFAULT_OVERLAP_CHARS = 1000;
+
+interface Segment {
+  pageNumber: number;
+  text: string;
+  heading: boolean;
+}
+
+// Numbered clauses ("1.", "2.3", "IV."), "Section"/"Article" labels and short
+// all-caps lines are treated as the start of a new policy section.
+const NUMBERED_HEADING = /^(?:(?:section|article|part)\s+\w+|\d+(?:\.\d+)*\.?\s+\S|[IVX]+\.\s+\S)/i;
+const CAPS_HEADING = /^[A-Z][A-Z0-9 ,&/()'-]{3,80}$/;
+
+function isHeading(paragraph: string): boolean {
+  const firstLine = paragraph.split('\n')[0].trim();
+  if (firstLine.length === 0 || firstLine.length > 100) return false;
+  if (CAPS_HEADING.test(firstLine)) return true;
+  return NUMBERED_HEADING.test(firstLine) && !/[.;:]$/.test(firstLine);
+}
+
+function splitOversized(text: string, maxChars: number): string[] {
+  if (text.length <= maxChars) return [text];
+
+  const pieces: string[] = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (line.length > maxChars) {
+      if (current) pieces.push(current);
+      current = '';
+      for (let start = 0; start < line.length; start += maxChars) {
+        pieces.push(line.slice(start, start + maxChars));
+      }
+      continue;
+    }
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length > maxChars) {
+      pieces.push(current);
+      current = line;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+function toSegments(pages: PolicyPage[], maxChars: number): Segment[] {
+  const segments: Segment[] = [];
+  for (const page of pages) {
+    const paragraphs = page.text
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(paragraph => paragraph.length > 0);
+
+    for (const paragraph of paragraphs) {
+      const heading = isHeading(paragraph);
+      splitOversized(paragraph, maxChars).forEach((text, i) => {
+        segments.push({ pageNumber: page.pageNumber, text, heading: heading && i === 0 });
+      });
+    }
+  }
+  return segments;
+}
+
+function buildChunk(index: number, segments: Segment[]): PolicyChunk {
+  return {
+    index,
+    pageStart: segments[0].pageNumber,
+    pageEnd: segments[segments.length - 1].pageNumber,
+    text: segments.map(segment => segment.text).join('\n\n'),
+  };
+}
+
+function segmentsLength(segments: Segment[]): number {
+  return segments.reduce((total, segment) => total + segment.text.length + 2, 0);
+}
+
+/**
+ * Splits page text into chunks of at most `maxChars`, preferring to break at
+ * section headings and page boundaries. Each chunk repeats up to
+ * `overlapChars` of trailing paragraphs from the previous chunk so a rule that
+ * straddles a boundary is seen whole at least once.
+ */
+export function chunkPolicyText(pages: PolicyPage[], options: ChunkingOptions = {}): PolicyChunk[] {
+  const maxChars = options.maxChars ?? DEFAULT_MAX_CHARS;
+  const overlapChars = Math.min(options.overlapChars ?? DEFAULT_OVERLAP_CHARS, Math.floor(maxChars / 2));
+  const segments = toSegments(pages, maxChars);
+  const chunks: PolicyChunk[] = [];
+
+  let current: Segment[] = [];
+  let fresh = 0; // segments in `current` not carried over as overlap
+
+  const flush = () => {
+    if (fresh === 0) return;
+    chunks.push(buildChunk(chunks.length, current));
+
+    const overlap: Segment[] = [];
+    for (let i = current.length - 1; i >= 0; i--) {
+      if (segmentsLength([current[i], ...overlap]) > overlapChars) break;
+      overlap.unshift(current[i]);
+    }
+    current = overlap;
+    fresh = 0;
+  };
+
+  for (const segment of segments) {
+    const size = segmentsLength([...current, segment]);
+    const atSectionBreak = segment.heading && segmentsLength(current) > maxChars / 2;
+
+    if (size > maxChars || atSectionBreak) {
+      flush();
+      // Drop overlap that would push this segment past the limit on its own.
+      while (current.length > 0 && segmentsLength([...current, segment]) > maxChars) {
+        current.shift();
+      }
+    }
+
+    current.push(segment);
+    fresh++;
+  }
+  flush();
+
+  return chunks;
+}
+
+function normalizeForMatch(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/** Whether two extracted rules state the same condition from the same passage. */
+export function isSameRule(a: PolicyRule, b: PolicyRule): boolean {
+  if (normalizeForMatch(a.requirement_type) !== normalizeForMatch(b.requirement_type)) return false;
+
+  const evidenceA = normalizeForMatch(a.evidence_excerpt);
+  const evidenceB = normalizeForMatch(b.evidence_excerpt);
+  const summaryA = normalizeForMatch(a.condition_summary);
+  const summaryB = normalizeForMatch(b.condition_summary);
+
+  // Overlapping chunks can cut an excerpt short, so containment counts too.
+  const sameEvidence = evidenceA === evidenceB || evidenceA.includes(evidenceB) || evidenceB.includes(evidenceA);
+  return sameEvidence && (summaryA === summaryB || evidenceA === evidenceB);
+}
+
+export interface ChunkRules {
+  chunk: PolicyChunk;
+  rules: PolicyRule[];
+}
+
+/**
+ * Merges rules extracted from each chunk into one rule set, dropping duplicates
+ * produced by chunk overlap. Rules are renumbered in document order because
+ * ids chosen by the model are only unique within a chunk.
+ */
+export function mergeChunkRules(results: ChunkRules[]): SourcedRule[] {
+  const merged: SourcedRule[] = [];
+
+  for (const { chunk, rules } of results) {
+    for (const rule of rules) {
+      const existing = merged.find(candidate => isSameRule(candidate, rule));
+      if (existing) {
+        if (!existing.provenance.chunks.includes(chunk.index)) {
+          existing.provenance.chunks.push(chunk.index);
+        }
+        // Prefer the longer excerpt when overlap truncated one of them.
+        if (rule.evidence_excerpt.length > existing.evidence_excerpt.length) {
+          existing.evidence_excerpt = rule.evidence_excerpt;
+        }
+        continue;
+      }
+
+      merged.push({
+        ...rule,
+        provenance: { chunks: [chunk.index], pageStart: chunk.pageStart, pageEnd: chunk.pageEnd },
+      });
+    }
+  }
+
+  return merged.map((rule, i) => ({ ...rule, rule_id: `R${String(i + 1).padStart(3, '0')}` }));
+}
@@ -0,0 +1,118 @@
+export type Limiter = <T>(task: () => Promise<T>) => Promise<T>;
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+/** Runs at most `concurrency` tasks at a time, starting queued tasks in FIFO order. */
+export function createLimiter(concurrency: number): Limiter {
+  const limit = Math.max(1, Math.floor(concurrency));
+  const queue: (() => void)[] = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit) return;
+    const start = queue.shift();
+    if (start) {
+      active++;
+      start();
+    }
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push(() => {
+      task().then(resolve, reject).finally(() => {
+        active--;
+        next();
+      });
+    });
+    next();
+  });
+}
+
+export interface HostThrottleOptions {
+  concurrency: number;
+  minIntervalMs: number;
+}
+
+export type HostThrottle = <T>(url: string, task: () => Promise<T>) => Promise<T>;
+
+/**
+ * Per-host politeness: at most `concurrency` requests in flight to one host,
+ * and request starts to that host spaced at least `minIntervalMs` apart.
+ */
+export function createHostThrottle(options: HostThrottleOptions): HostThrottle {
+  const hosts = new Map<string, { limiter: Limiter; nextStart: number }>();
+
+  return (url, task) => {
+    const host = new URL(url).host;
+    let state = hosts.get(host);
+    if (!state) {
+      state = { limiter: createLimiter(options.concurrency), nextStart: 0 };
+      hosts.set(host, state);
+    }
+
+    const hostState = state;
+    return hostState.limiter(async () => {
+      const now = Date.now();
+      const startAt = Math.max(now, hostState.nextStart);
+      hostState.nextStart = startAt + options.minIntervalMs;
+      if (startAt > now) await sleep(startAt - now);
+      return task();
+    });
+  };
+}
+
+export interface TokenReservation {
+  /** Replaces the estimate with the tokens the call actually used. */
+  settle(actualTokens: number): void;
+}
+
+export interface TokenRateLimiter {
+  acquire(estimatedTokens: number): Promise<TokenReservation>;
+}
+
+const WINDOW_MS = 60_000;
+
+/**
+ * Keeps LLM usage under `tokensPerMinute` over a sliding one-minute window.
+ * Callers reserve an estimate up front and settle it with real usage once the
+ * call returns. A single request larger than the budget runs once the window
+ * is empty rather than waiting forever.
+ */
+export function createTokenRateLimiter(tokensPerMinute: number): TokenRateLimiter {
+  const entries: { at: number; tokens: number }[] = [];
+  let waiting: Promise<unknown> = Promise.resolve();
+
+  const used = (now: number) => {
+    while (entries.length > 0 && now - entries[0].at >= WINDOW_MS) entries.shift();
+    return entries.reduce((total, entry) => total + entry.tokens, 0);
+  };
+
+  const reserve = async (tokens: number): Promise<TokenReservation> => {
+    for (;;) {
+      const now = Date.now();
+      if (entries.length === 0 || used(now) + tokens <= tokensPerMinute) {
+        const entry = { at: now, tokens };
+        entries.push(entry);
+        return { settle: actualTokens => { entry.tokens = actualTokens; } };
+      }
+      await sleep(Math.max(50, entries[0].at + WINDOW_MS - now));
+    }
+  };
+
+  return {
+    acquire(estimatedTokens) {
+      if (!Number.isFinite(tokensPerMinute) || tokensPerMinute <= 0) {
+        return Promise.resolve({ settle: () => {} });
+      }
+      // Reservations are granted in arrival order so large requests aren't starved.
+      const reservation = waiting.then(() => reserve(estimatedTokens));
+      waiting = reservation.catch(() => undefined);
+      return reservation;
+    },
+  };
+}
+
+/** Rough token count for English policy text (about four characters per token). */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
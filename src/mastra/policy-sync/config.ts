@@ -0,0 +1,159 @@
+import { resolve } from 'path';
+import { z } from 'zod';
+import { DEFAULT_MODEL, parseModelId, type ModelSettings } from './models';
+import { DEFAULT_PROMPT, getPrompt, promptId } from './prompts';
+import { modelPriceSchema, type ModelPrice, type RunBudget } from './usage';
+import { LLM_FIXTURE_MODES, type LlmFixtureMode, type LlmFixtureOptions } from './llm-fixtures';
+
+/** 340B ESP's listing of manufacturer policies and program documents. */
+export const ESP_RESOURCES_URL = 'https://340besp.com/resources';
+
+export interface SyncConfig {
+  /** Policy documents downloaded at the same time, across all hosts. */
+  downloadConcurrency: number;
+  /** Requests in flight to a single host such as 340besp.com. */
+  hostConcurrency: number;
+  /** Minimum gap between request starts to a single host. */
+  hostIntervalMs: number;
+  /** LLM extraction calls in flight at the same time. */
+  llmConcurrency: number;
+  /** LLM token budget per rolling minute; 0 disables throttling. */
+  llmTokensPerMinute: number;
+  /** Documents OCR'd at the same time; OCR is CPU-bound and runs in this process. */
+  ocrConcurrency: number;
+  /** Retries for transient download and LLM failures. */
+  maxRetries: number;
+  retryBaseDelayMs: number;
+  retryMaxDelayMs: number;
+  /** Cron expression for automatic syncs, e.g. '0 6 * * *'; unset disables the scheduler. */
+  schedule?: string;
+  /** IANA time zone the schedule is read in; the server's zone when unset. */
+  scheduleTimezone?: string;
+  /** Page listing manufacturer resources to discover documents from; a file: URL reads a saved copy. */
+  discoveryUrl: string;
+  /** Cron expression for automatic discovery runs; unset disables them. */
+  discoverySchedule?: string;
+  /** Model rules are extracted with, unless a manufacturer overrides it. */
+  model: ModelSettings;
+  /** Extraction prompt as '<name>@<version>'. */
+  prompt: string;
+  /** Prices by '<provider>/<model>', adding to or replacing the built-in list. */
+  modelPrices: Record<string, ModelPrice>;
+  /** Default limit on each run's LLM use; unset runs are unlimited. */
+  runBudget?: RunBudget;
+  /** Recorded LLM responses to replay, or to record into; unset calls the model as usual. */
+  llmFixtures?: LlmFixtureOptions;
+}
+
+function readOptionalNumber(env: NodeJS.ProcessEnv, name: string): number | undefined {
+  const raw = env[name];
+  if (raw === undefined || raw.trim() === '') return undefined;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got '${raw}'`);
+  }
+  return value;
+}
+
+function readNumber(env: NodeJS.ProcessEnv, name: string, fallback: number): number {
+  return readOptionalNumber(env, name) ?? fallback;
+}
+
+function readString(env: NodeJS.ProcessEnv, name: string): string | undefined {
+  const raw = env[name]?.trim();
+  return raw ? raw : undefined;
+}
+
+/**
+ * Reads `<prefix>_MODEL` ('<provider>/<model>') and the optional
+ * `<prefix>_MODEL_TEMPERATURE`, `_MODEL_MAX_OUTPUT_TOKENS` and `_MODEL_BASE_URL`.
+ */
+function readModelSettings(env: NodeJS.ProcessEnv, prefix: string): ModelSettings {
+  const id = readString(env, `${prefix}_MODEL`) ?? DEFAULT_MODEL;
+  let settings: ModelSettings;
+  try {
+    settings = parseModelId(id);
+  } catch (error) {
+    throw new Error(`${prefix}_MODEL: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  const temperature = readOptionalNumber(env, `${prefix}_MODEL_TEMPERATURE`);
+  const maxOutputTokens = readOptionalNumber(env, `${prefix}_MODEL_MAX_OUTPUT_TOKENS`);
+  const baseURL = readString(env, `${prefix}_MODEL_BASE_URL`);
+  if (temperature !== undefined) settings.temperature = temperature;
+  if (maxOutputTokens !== undefined) settings.maxOutputTokens = maxOutputTokens;
+  if (baseURL !== undefined) settings.baseURL = baseURL;
+  return settings;
+}
+
+// A bare name is pinned to its latest version, so runs record exactly which prompt they used
+function readPrompt(env: NodeJS.ProcessEnv): string {
+  try {
+    return promptId(getPrompt(readString(env, 'POLICY_SYNC_PROMPT') ?? DEFAULT_PROMPT));
+  } catch (error) {
+    throw new Error(`POLICY_SYNC_PROMPT: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+// JSON such as {"openai/gpt-4o-mini": {"input": 0.15, "output": 0.6}}, in USD per million tokens
+function readModelPrices(env: NodeJS.ProcessEnv): Record<string, ModelPrice> {
+  const raw = readString(env, 'POLICY_SYNC_MODEL_PRICES');
+  if (raw === undefined) return {};
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error(`POLICY_SYNC_MODEL_PRICES must be JSON, got '${raw}'`);
+  }
+  const prices = z.record(modelPriceSchema).safeParse(parsed);
+  if (!prices.success) {
+    throw new Error('POLICY_SYNC_MODEL_PRICES must map \'<provider>/<model>\' to {"input": <USD>, "output": <USD>} per million tokens');
+  }
+  return prices.data;
+}
+
+function readRunBudget(env: NodeJS.ProcessEnv): RunBudget | undefined {
+  const tokens = readOptionalNumber(env, 'POLICY_SYNC_RUN_BUDGET_TOKENS');
+  const usd = readOptionalNumber(env, 'POLICY_SYNC_RUN_BUDGET_USD');
+  return tokens === undefined && usd === undefined ? undefined : { tokens, usd };
+}
+
+function readLlmFixtures(env: NodeJS.ProcessEnv): LlmFixtureOptions | undefined {
+  const dir = readString(env, 'POLICY_SYNC_LLM_FIXTURES');
+  if (dir === undefined) return undefined;
+
+  const mode = readString(env, 'POLICY_SYNC_LLM_MODE') ?? 'replay';
+  if (!(LLM_FIXTURE_MODES as readonly string[]).includes(mode)) {
+    throw new Error(`POLICY_SYNC_LLM_MODE must be one of ${LLM_FIXTURE_MODES.join(', ')}, got '${mode}'`);
+  }
+  return { mode: mode as LlmFixtureMode, dir: resolve(dir) };
+}
+
+/** Model the policy sync agent converses with, from POLICY_AGENT_MODEL and POLICY_AGENT_MODEL_BASE_URL. */
+export function loadAgentModelSettings(env: NodeJS.ProcessEnv = process.env): ModelSettings {
+  return readModelSettings(env, 'POLICY_AGENT');
+}
+
+export function loadSyncConfig(env: NodeJS.ProcessEnv = process.env): SyncConfig {
+  return {
+    downloadConcurrency: readNumber(env, 'POLICY_SYNC_DOWNLOAD_CONCURRENCY', 4),
+    hostConcurrency: readNumber(env, 'POLICY_SYNC_HOST_CONCURRENCY', 2),
+    hostIntervalMs: readNumber(env, 'POLICY_SYNC_HOST_INTERVAL_MS', 1000),
+    llmConcurrency: readNumber(env, 'POLICY_SYNC_LLM_CONCURRENCY', 3),
+    llmTokensPerMinute: readNumber(env, 'POLICY_SYNC_LLM_TOKENS_PER_MINUTE', 150000),
+    ocrConcurrency: readNumber(env, 'POLICY_SYNC_OCR_CONCURRENCY', 1),
+    maxRetries: readNumber(env, 'POLICY_SYNC_MAX_RETRIES', 3),
+    retryBaseDelayMs: readNumber(env, 'POLICY_SYNC_RETRY_BASE_MS', 1000),
+    retryMaxDelayMs: readNumber(env, 'POLICY_SYNC_RETRY_MAX_MS', 30000),
+    schedule: readString(env, 'POLICY_SYNC_SCHEDULE'),
+    scheduleTimezone: readString(env, 'POLICY_SYNC_SCHEDULE_TIMEZONE'),
+    discoveryUrl: readString(env, 'POLICY_SYNC_DISCOVERY_URL') ?? ESP_RESOURCES_URL,
+    discoverySchedule: readString(env, 'POLICY_SYNC_DISCOVERY_SCHEDULE'),
+    model: readModelSettings(env, 'POLICY_SYNC'),
+    prompt: readPrompt(env),
+    modelPrices: readModelPrices(env),
+    runBudget: readRunBudget(env),
+    llmFixtures: readLlmFixtures(env),
+  };
+}
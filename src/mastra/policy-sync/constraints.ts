@@ -0,0 +1,212 @@
+import { z } from 'zod';
+import type { PolicyRule } from './rules';
+
+export interface DistanceLimit {
+  value: number;
+  unit: 'miles' | 'km';
+  /** What the distance is measured from, as worded, e.g. "the parent site". */
+  from: string | null;
+}
+
+/**
+ * effective_date and geography_or_location parsed into values that can be
+ * filtered and computed on. The rule keeps the text they were parsed from.
+ */
+export interface RuleConstraints {
+  /** ISO date the rule takes effect. */
+  effective_from: string | null;
+  /** ISO date the rule stops applying. */
+  effective_until: string | null;
+  distance_limit: DistanceLimit | null;
+  /** Postal codes of the states the rule is limited to; empty when it names none. */
+  states: string[];
+  /** Whether pharmacies must be in the same state as the covered entity. */
+  same_state_as_entity: boolean;
+}
+
+export const ruleConstraintsSchema = z.object({
+  effective_from: z.string().nullable(),
+  effective_until: z.string().nullable(),
+  distance_limit: z.object({
+    value: z.number(),
+    unit: z.enum(['miles', 'km']),
+    from: z.string().nullable(),
+  }).nullable(),
+  states: z.array(z.string()),
+  same_state_as_entity: z.boolean(),
+});
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// Each yields year, month and day (day may be missing for "March 2024")
+const DATE_PATTERNS: { pattern: RegExp; parts: (match: RegExpExecArray) => [string, string, string | undefined] }[] = [
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  { pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: m => [m[3], m[1], m[2]] },
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], m[1], m[2]] },
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], m[2], m[1]] },
+  { pattern: new RegExp(`\\b${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[2], m[1], undefined] },
+];
+
+// A date right after one of these words ends the rule's period rather than starting it,
+// "up to" included; "prior to" is handled by BEFORE_MARKER
+const END_MARKER = /\b(?:through|thru|until|till|(?<!\bprior\s+)to|ending|ends|expires?|expiring|expiration date|sunsets?)(?:\s+(?:on|and including))?\s*:?\s*$/i;
+// A date after these ends the period the day before, as in "claims dispensed prior to March 1, 2024"
+const BEFORE_MARKER = /\b(?:prior\s+to|before)\s*:?\s*$/i;
+// As does a date after a dash following the start date, as in "January 1 - June 30, 2025"
+const RANGE_DASH = /^\s*[-–—]\s*$/;
+
+function dayBefore(iso: string): string {
+  const date = new Date(`${iso}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function monthNumber(value: string): number {
+  const index = MONTHS.indexOf(value.slice(0, 3).toLowerCase());
+  return index === -1 ? Number(value) : index + 1;
+}
+
+function isoDate(year: string, month: string, day: string | undefined): string | null {
+  const y = Number(year);
+  const m = monthNumber(month);
+  // "March 2024" on its own means from the start of the month
+  const d = day === undefined ? 1 : Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+interface FoundDate {
+  index: number;
+  end: number;
+  iso: string;
+}
+
+function findDates(text: string): FoundDate[] {
+  const found: FoundDate[] = [];
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const index = match.index ?? 0;
+      const end = index + match[0].length;
+      // Earlier patterns are more specific, so "March 1, 2024" isn't read again as "March ... 2024"
+      if (found.some(date => index < date.end && end > date.index)) continue;
+      const iso = isoDate(...parts(match as RegExpExecArray));
+      if (iso) found.push({ index, end, iso });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Reads the start and end dates from an effective_date value such as
+ * "beginning March 1, 2024", "January 1, 2025 through June 30, 2025" or
+ * "prior to March 1, 2024", the last ending on February 29.
+ */
+export function parseEffectiveDates(text: string): Pick<RuleConstraints, 'effective_from' | 'effective_until'> {
+  let from: string | null = null;
+  let until: string | null = null;
+  let previousEnd = 0;
+  for (const date of findDates(text)) {
+    const before = text.slice(previousEnd, date.index);
+    previousEnd = date.end;
+    if (BEFORE_MARKER.test(before)) {
+      until ??= dayBefore(date.iso);
+    } else if (END_MARKER.test(before) || (from !== null && RANGE_DASH.test(before))) {
+      until ??= date.iso;
+    } else {
+      from ??= date.iso;
+    }
+  }
+  return { effective_from: from, effective_until: until };
+}
+
+const STATES: Record<string, string> = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado', CT: 'Connecticut',
+  DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania',
+  PR: 'Puerto Rico', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas',
+  UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+// Longest names first, so "West Virginia" is taken before "Virginia" can match inside it
+const STATE_NAMES = Object.entries(STATES)
+  .map(([code, name]) => ({ code, pattern: new RegExp(`\\b${name.replace(/ /g, '\\s+')}\\b`, 'i') }))
+  .sort((a, b) => b.pattern.source.length - a.pattern.source.length);
+
+// Codes that are also common abbreviations in policies: MD and PA prescribers, CO for
+// company, OR and IN as words. On their own these need context to count as states.
+const AMBIGUOUS_CODES = new Set(['CO', 'CT', 'DC', 'DE', 'HI', 'ID', 'IN', 'LA', 'MA', 'MD', 'ME', 'MI', 'MS', 'OH', 'OK', 'OR', 'PA', 'PR', 'SC']);
+// One or more capitalized codes in a list, as in "TX", "TX, OK" or "MD, DE and PA"
+const CODE_LIST = /\b[A-Z]{2}\b(?:\s*(?:[,;/&]\s*(?:(?:or|and)\s+)?|\s(?:or|and)\s+)[A-Z]{2}\b)*/g;
+// Words that put the codes after them in a place: "in TX", "located in", "the states of"
+const PLACE_CONTEXT = /(?:\bin|\bstates?\s+of)\s*:?\s*$/i;
+
+/**
+ * Postal codes of the states a text names, in postal code order. Names count
+ * wherever they appear; capitalized codes only after "in" or "states of", in
+ * a list with a code that isn't also a common abbreviation, or when they are
+ * the whole text. So "in MD or PA" names two states and "an MD or PA on site"
+ * none.
+ */
+export function findStates(text: string): string[] {
+  const codes = new Set<string>();
+  const capital = /\bWashington,?\s+D\.?\s?C\.?/gi;
+  if (capital.test(text)) codes.add('DC');
+  let rest = text.replace(capital, ' ');
+  for (const { code, pattern } of STATE_NAMES) {
+    if (pattern.test(rest)) {
+      codes.add(code);
+      rest = rest.replace(new RegExp(pattern.source, 'gi'), ' ');
+    }
+  }
+  // Text that is all capitals can't tell codes from words, unless it is nothing but codes
+  const capitals = rest === rest.toUpperCase();
+  for (const match of rest.matchAll(CODE_LIST)) {
+    const listed = [...match[0].matchAll(/[A-Z]{2}/g)].map(([code]) => code).filter(code => code in STATES);
+    const whole = rest.replace(/[\s.,;]+/g, '') === match[0].replace(/[\s.,;]+/g, '');
+    const placed = PLACE_CONTEXT.test(rest.slice(0, match.index))
+      || (listed.length >= 2 && listed.some(code => !AMBIGUOUS_CODES.has(code)));
+    if (whole || (placed && !capitals)) listed.forEach(code => codes.add(code));
+  }
+  return [...codes].sort();
+}
+
+// The value may have thousands separators, as in "1,000 miles"
+const DISTANCE = /\b((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)[\s-]*(miles?|mi\b|kilometers?|kilometres?|km\b)\.?(?:\s+radius)?(?:\s+(?:of|from)\s+([^.;,()]+))?/i;
+
+export function parseDistanceLimit(text: string): DistanceLimit | null {
+  const match = DISTANCE.exec(text);
+  if (!match) return null;
+  return {
+    value: Number(match[1].replace(/,/g, '')),
+    unit: match[2].toLowerCase().startsWith('k') ? 'km' : 'miles',
+    from: match[3]?.trim() || null,
+  };
+}
+
+const SAME_STATE = /\b(same state as|(?:entity|ce)['’]?s? (?:own )?state|state (?:in which|where) the (?:covered )?entity|in-state|within the (?:covered )?entity['’]?s state)\b/i;
+
+export function parseRuleConstraints(rule: Pick<PolicyRule, 'effective_date' | 'geography_or_location'>): RuleConstraints {
+  const geography = rule.geography_or_location;
+  return {
+    ...parseEffectiveDates(rule.effective_date),
+    distance_limit: parseDistanceLimit(geography),
+    states: findStates(geography),
+    same_state_as_entity: SAME_STATE.test(geography),
+  };
+}
+
+/** Whether the rule is in effect on an ISO date, taking unknown start or end dates as open. */
+export function ruleInEffectOn(constraints: RuleConstraints, date: string): boolean {
+  return (constraints.effective_from === null || constraints.effective_from <= date)
+    && (constraints.effective_until === null || date <= constraints.effective_until);
+}
+
+/** Whether the rule covers pharmacies in a state: it names the state, or no state at all. */
+export function ruleAppliesInState(constraints: RuleConstraints, state: string): boolean {
+  return constraints.states.length === 0 || constraints.states.includes(state.toUpperCase());
+}
@@ -0,0 +1,177 @@
+import { z } from 'zod';
+import { RULE_FIELDS, type PolicyRule, type RuleField } from './rules';
+
+// rule_id is assigned per run, so it never counts as a change.
+const COMPARED_FIELDS = RULE_FIELDS.filter(field => field !== 'rule_id');
+
+// Token overlap above which two rules are taken to be the same rule reworded.
+const SIMILARITY_THRESHOLD = 0.8;
+
+// Fields the model writes in its own words. evidence_excerpt is quoted from the
+// policy, so any change to it is a change in the policy.
+const PROSE_FIELDS: RuleField[] = ['condition_summary', 'exceptions_or_notes'];
+
+// Words that flip or weaken a requirement: "must submit" and "must not submit" or "may submit"
+const OBLIGATION_WORDS = /\b(?:not|no|never|cannot|must|may|shall)\b|n['’]t\b/g;
+
+// Token overlap above which a prose field of a paired rule is the same text reworded.
+const REWORDING_THRESHOLD = 0.5;
+
+export interface FieldChange {
+  field: RuleField;
+  before: string;
+  after: string;
+}
+
+export type RuleChangeType = 'added' | 'removed' | 'modified';
+
+export interface RuleChange {
+  type: RuleChangeType;
+  rule_id: string;
+  previous_rule_id?: string;
+  fields?: FieldChange[];
+}
+
+export interface RuleDiff {
+  added: number;
+  removed: number;
+  modified: number;
+  unchanged: number;
+  changes: RuleChange[];
+}
+
+export const ruleDiffSchema = z.object({
+  added: z.number(),
+  removed: z.number(),
+  modified: z.number(),
+  unchanged: z.number(),
+  changes: z.array(z.object({
+    type: z.enum(['added', 'removed', 'modified']),
+    rule_id: z.string(),
+    previous_rule_id: z.string().optional(),
+    fields: z.array(z.object({
+      field: z.enum(RULE_FIELDS),
+      before: z.string(),
+      after: z.string(),
+    })).optional(),
+  })),
+});
+
+function normalize(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function contentKey(rule: PolicyRule): string {
+  return COMPARED_FIELDS.map(field => normalize(rule[field])).join('|');
+}
+
+function similarity(a: string, b: string): number {
+  const tokensA = new Set(normalize(a).split(' ').filter(Boolean));
+  const tokensB = new Set(normalize(b).split(' ').filter(Boolean));
+  if (tokensA.size === 0 && tokensB.size === 0) return 1;
+
+  let shared = 0;
+  for (const token of tokensA) if (tokensB.has(token)) shared++;
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+function sameEvidence(previous: PolicyRule, current: PolicyRule): boolean {
+  const a = normalize(previous.evidence_excerpt);
+  const b = normalize(current.evidence_excerpt);
+  if (a === b || a.includes(b) || b.includes(a)) return true;
+  return similarity(a, b) >= SIMILARITY_THRESHOLD;
+}
+
+function sameCondition(previous: PolicyRule, current: PolicyRule): boolean {
+  return normalize(previous.requirement_type) === normalize(current.requirement_type)
+    && similarity(previous.condition_summary, current.condition_summary) >= SIMILARITY_THRESHOLD;
+}
+
+// The numbers and obligation words of a text, which rewording must keep
+function meaningWords(value: string): string {
+  const obligations = (value.toLowerCase().match(OBLIGATION_WORDS) ?? []).map(word => (/^(?:cannot|n['’]t)$/.test(word) ? 'not' : word));
+  const numbers = normalize(value).split(' ').filter(token => /\d/.test(token));
+  return [...obligations, ...numbers].sort().join(' ');
+}
+
+// Rewording keeps every number and obligation word, so "within 45 days" becoming
+// "within 30 days", or "must submit" becoming "must not submit", is still a change
+function isRewording(before: string, after: string): boolean {
+  const a = normalize(before);
+  const b = normalize(after);
+  if (!a || !b || meaningWords(before) !== meaningWords(after)) return false;
+  return a.includes(b) || b.includes(a) || similarity(a, b) >= REWORDING_THRESHOLD;
+}
+
+function fieldChanges(previous: PolicyRule, current: PolicyRule): FieldChange[] {
+  return COMPARED_FIELDS
+    .filter(field => normalize(previous[field]) !== normalize(current[field]))
+    .filter(field => !(PROSE_FIELDS.includes(field) && isRewording(previous[field], current[field])))
+    .map(field => ({ field, before: previous[field], after: current[field] }));
+}
+
+/**
+ * Compares two extractions of the same manufacturer's policy. Rules are paired
+ * first by identical content, then by matching evidence, then by a similar
+ * condition of the same requirement type; whatever is left unpaired was added
+ * or removed. Case, punctuation and whitespace differences are ignored, as is
+ * rewording of the model's own summaries that keeps their numbers and their
+ * negation and modal words.
+ */
+export function diffRules(previous: PolicyRule[], current: PolicyRule[]): RuleDiff {
+  const unmatchedPrevious = new Set(previous);
+  const pairs: [PolicyRule, PolicyRule][] = [];
+  const unmatchedCurrent: PolicyRule[] = [];
+
+  const strategies = [
+    (a: PolicyRule, b: PolicyRule) => contentKey(a) === contentKey(b),
+    sameEvidence,
+    sameCondition,
+  ];
+
+  let remaining = current;
+  for (const matches of strategies) {
+    unmatchedCurrent.length = 0;
+    for (const rule of remaining) {
+      const match = [...unmatchedPrevious].find(candidate => matches(candidate, rule));
+      if (match) {
+        unmatchedPrevious.delete(match);
+        pairs.push([match, rule]);
+      } else {
+        unmatchedCurrent.push(rule);
+      }
+    }
+    remaining = [...unmatchedCurrent];
+  }
+
+  const diff: RuleDiff = { added: 0, removed: 0, modified: 0, unchanged: 0, changes: [] };
+
+  for (const [before, after] of pairs) {
+    const fields = fieldChanges(before, after);
+    if (fields.length === 0) {
+      diff.unchanged++;
+      continue;
+    }
+    diff.modified++;
+    diff.changes.push({ type: 'modified', rule_id: after.rule_id, previous_rule_id: before.rule_id, fields });
+  }
+
+  for (const rule of remaining) {
+    diff.added++;
+    diff.changes.push({ type: 'added', rule_id: rule.rule_id });
+  }
+
+  for (const rule of unmatchedPrevious) {
+    diff.removed++;
+    diff.changes.push({ type: 'removed', rule_id: rule.rule_id });
+  }
+
+  return diff;
+}
+
+export function hasRuleChanges(diff: RuleDiff): boolean {
+  return diff.added + diff.removed + diff.modified > 0;
+}
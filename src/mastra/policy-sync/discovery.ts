@@ -0,0 +1,349 @@
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+import { ESP_RESOURCES_URL, loadSyncConfig, type SyncConfig } from './config';
+import { createHostThrottle, type HostThrottle } from './concurrency';
+import { classifyError, isRetryableStatus, parseRetryAfter, PolicySyncError } from './errors';
+import { withRetry, type RetryOptions } from './retry';
+import { listManufacturers, type Manufacturer } from './registry';
+import { DOCUMENT_TYPES, type DocumentType, type PolicyDocumentRef } from './documents';
+import { saveDiscoveryReport } from './store';
+
+/** A PDF link on the resources listing. */
+export interface ListedDocument extends PolicyDocumentRef {
+  /** Text of the heading the link appears under, normally the manufacturer's name. */
+  heading?: string;
+  /** Path segment after /resources/, e.g. 'merck' for /resources/merck/policy.pdf. */
+  slug?: string;
+}
+
+export interface DiscoveredManufacturer {
+  name: string;
+  /** Registry id to create it under; check it before use. */
+  suggestedId: string;
+  documents: PolicyDocumentRef[];
+}
+
+export interface DiscoveredDocument {
+  manufacturer: string;
+  document: PolicyDocumentRef;
+}
+
+export interface DeadUrl {
+  /** Registry id, or the suggested id of a new manufacturer. */
+  manufacturer: string;
+  url: string;
+  /** Whether the URL is registered for syncing or was only found on the listing. */
+  source: 'registry' | 'listing';
+  error: string;
+}
+
+export interface DiscoveryReport {
+  id: string;
+  checkedAt: string;
+  source: string;
+  /** PDF links found on the listing. */
+  listedDocuments: number;
+  /** URLs checked for being dead; 0 when link checking was turned off. */
+  checkedUrls: number;
+  newManufacturers: DiscoveredManufacturer[];
+  newDocuments: DiscoveredDocument[];
+  deadUrls: DeadUrl[];
+}
+
+const documentRefSchema = z.object({ url: z.string(), type: z.enum(DOCUMENT_TYPES), title: z.string().optional() });
+
+export const discoveryReportSchema = z.object({
+  id: z.string(),
+  checkedAt: z.string(),
+  source: z.string(),
+  listedDocuments: z.number(),
+  checkedUrls: z.number(),
+  newManufacturers: z.array(z.object({ name: z.string(), suggestedId: z.string(), documents: z.array(documentRefSchema) })),
+  newDocuments: z.array(z.object({ manufacturer: z.string(), document: documentRefSchema })),
+  deadUrls: z.array(z.object({
+    manufacturer: z.string(),
+    url: z.string(),
+    source: z.enum(['registry', 'listing']),
+    error: z.string(),
+  })),
+});
+
+const ENTITIES: Record<string, string> = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d',
+  trade: '\u2122', reg: '\u00ae', copy: '\u00a9',
+};
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function innerText(html: string): string {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Checked in order, so "FAQ on the policy" is a FAQ and "policy update notice" a notice
+const TYPE_PATTERNS: [DocumentType, RegExp][] = [
+  ['faq', /\bfaqs?\b|frequently asked/],
+  ['data-submission-guide', /data submission|submission guide|claims data/],
+  ['exemption-form', /exempt/],
+  ['notice', /\bnotice|\bletter\b|announcement|\bupdate/],
+  ['policy', /polic/],
+];
+
+/** Best guess at a document's type from its link text and file name. */
+export function guessDocumentType(text: string): DocumentType {
+  const words = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+  return TYPE_PATTERNS.find(([, pattern]) => pattern.test(words))?.[0] ?? 'other';
+}
+
+function resourceSlug(url: URL): string | undefined {
+  const match = /^\/resources\/([^/]+)\//i.exec(url.pathname);
+  return match ? decodeURIComponent(match[1]).toLowerCase() : undefined;
+}
+
+// Same document whether linked over http or https, with or without www.
+function urlKey(url: string): string {
+  const parsed = new URL(url);
+  return `${parsed.host.toLowerCase().replace(/^www\./, '')}${parsed.pathname}${parsed.search}`;
+}
+
+const HREF = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+const HEADING_OR_LINK = /<(h[1-6])\b[^>]*>([\s\S]*?)<\/\1\s*>|<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+
+/**
+ * Lists the PDF links on the resources page, each with the heading it
+ * appears under. The page is plain enough that a tag scan does the job.
+ */
+export function parseResourcesListing(html: string, baseUrl: string): ListedDocument[] {
+  const content = html.replace(/<!--[\s\S]*?-->|<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const documents: ListedDocument[] = [];
+  const seen = new Set<string>();
+  let heading: string | undefined;
+
+  for (const match of content.matchAll(HEADING_OR_LINK)) {
+    if (match[1]) {
+      heading = innerText(match[2]) || heading;
+      continue;
+    }
+
+    const href = HREF.exec(match[3]);
+    if (!href) continue;
+    let url: URL;
+    try {
+      url = new URL(decodeEntities(href[1] ?? href[2] ?? href[3]), baseUrl);
+    } catch {
+      continue;
+    }
+    if (!/^https?:$/.test(url.protocol) || !url.pathname.toLowerCase().endsWith('.pdf')) continue;
+    url.hash = '';
+
+    const key = urlKey(url.href);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const title = innerText(match[4]);
+    documents.push({
+      url: url.href,
+      type: guessDocumentType(`${title} ${url.pathname}`),
+      ...(title ? { title } : {}),
+      heading,
+      slug: resourceSlug(url),
+    });
+  }
+  return documents;
+}
+
+const NAME_NOISE = new Set(['the', 'and', 'inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company', 'plc', 'us', 'usa', 'pharma', 'pharmaceutical', 'pharmaceuticals']);
+
+// 'Bristol-Myers Squibb Company' and 'bristolmyerssquibb' compare equal
+function nameKey(name: string): string {
+  return name.toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !NAME_NOISE.has(word)).join('');
+}
+
+function toRegistryId(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toDocumentRef(document: ListedDocument): PolicyDocumentRef {
+  return { url: document.url, type: document.type, ...(document.title ? { title: document.title } : {}) };
+}
+
+/**
+ * Sorts listed documents into those of manufacturers the registry doesn't
+ * know and new documents of known ones. Links are matched to a manufacturer
+ * by registered URL, then by their /resources/ folder, then by heading.
+ * Inactive manufacturers were turned off on purpose, so their new documents
+ * aren't reported.
+ */
+export function compareWithRegistry(
+  listed: ListedDocument[],
+  manufacturers: Manufacturer[],
+): Pick<DiscoveryReport, 'newManufacturers' | 'newDocuments'> {
+  const byUrl = new Map<string, Manufacturer>();
+  const byName = new Map<string, Manufacturer>();
+  for (const manufacturer of manufacturers) {
+    for (const document of manufacturer.documents) byUrl.set(urlKey(document.url), manufacturer);
+    for (const name of [manufacturer.id, manufacturer.name, ...manufacturer.aliases]) {
+      const key = nameKey(name);
+      if (key && !byName.has(key)) byName.set(key, manufacturer);
+    }
+  }
+
+  const newManufacturers = new Map<string, DiscoveredManufacturer>();
+  const newDocuments: DiscoveredDocument[] = [];
+  for (const document of listed) {
+    const known = byUrl.get(urlKey(document.url))
+      ?? (document.slug ? byName.get(nameKey(document.slug)) : undefined)
+      ?? (document.heading ? byName.get(nameKey(document.heading)) : undefined);
+
+    if (known) {
+      if (known.active && !byUrl.has(urlKey(document.url))) {
+        newDocuments.push({ manufacturer: known.id, document: toDocumentRef(document) });
+      }
+      continue;
+    }
+
+    const name = document.heading ?? document.slug ?? document.title ?? document.url;
+    const suggestedId = toRegistryId(document.slug ?? name);
+    const entry = newManufacturers.get(suggestedId) ?? { name, suggestedId, documents: [] };
+    entry.documents.push(toDocumentRef(document));
+    newManufacturers.set(suggestedId, entry);
+  }
+
+  return { newManufacturers: [...newManufacturers.values()], newDocuments };
+}
+
+interface DiscoveryContext {
+  hosts: HostThrottle;
+  retry: RetryOptions;
+}
+
+async function fetchListing(source: string, context: DiscoveryContext): Promise<string> {
+  // A saved copy of the page, e.g. the test fixture
+  if (source.startsWith('file:')) {
+    return fs.readFile(source.slice('file:'.length), 'utf8');
+  }
+
+  return withRetry(() => context.hosts(source, async () => {
+    try {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new PolicySyncError('download', `Failed to fetch resources listing from ${source}: ${response.status} ${response.statusText}`, {
+          retryable: isRetryableStatus(response.status),
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+      return await response.text();
+    } catch (error) {
+      throw classifyError('download', error);
+    }
+  }), context.retry);
+}
+
+/** Why the URL is dead, or undefined if it still resolves. */
+async function checkUrl(url: string, context: DiscoveryContext): Promise<string | undefined> {
+  try {
+    const response = await withRetry(() => context.hosts(url, async () => {
+      try {
+        let response = await fetch(url, { method: 'HEAD' });
+        // Some servers don't do HEAD; ask for a single byte instead
+        if (response.status === 405 || response.status === 501) {
+          response = await fetch(url, { headers: { range: 'bytes=0-0' } });
+          await response.arrayBuffer();
+        }
+        if (isRetryableStatus(response.status)) {
+          throw new PolicySyncError('download', `HTTP ${response.status} ${response.statusText}`, {
+            retryable: true,
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+          });
+        }
+        return response;
+      } catch (error) {
+        throw classifyError('download', error);
+      }
+    }), context.retry);
+    return response.ok ? undefined : `HTTP ${response.status} ${response.statusText}`;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
+
+export interface DiscoveryOptions {
+  /** Listing to read; defaults to the configured discovery URL. */
+  source?: string;
+  /** What relative links resolve against; the source itself unless that is a file. */
+  baseUrl?: string;
+  /** Check registered and newly found URLs for being dead (default true). */
+  checkLinks?: boolean;
+  config?: SyncConfig;
+}
+
+async function discover(options: DiscoveryOptions): Promise<DiscoveryReport> {
+  const config = options.config ?? loadSyncConfig();
+  const source = options.source ?? config.discoveryUrl;
+  const baseUrl = options.baseUrl ?? (source.startsWith('file:') ? ESP_RESOURCES_URL : source);
+  const context: DiscoveryContext = {
+    hosts: createHostThrottle({ concurrency: config.hostConcurrency, minIntervalMs: config.hostIntervalMs }),
+    retry: { retries: config.maxRetries, baseDelayMs: config.retryBaseDelayMs, maxDelayMs: config.retryMaxDelayMs },
+  };
+
+  const checkedAt = new Date().toISOString();
+  const listed = parseResourcesListing(await fetchListing(source, context), baseUrl);
+  const manufacturers = await listManufacturers({ includeInactive: true });
+  const { newManufacturers, newDocuments } = compareWithRegistry(listed, manufacturers);
+
+  const toCheck: Omit<DeadUrl, 'error'>[] = options.checkLinks === false ? [] : [
+    ...manufacturers.filter(manufacturer => manufacturer.active).flatMap(manufacturer =>
+      manufacturer.documents.map(document => ({ manufacturer: manufacturer.id, url: document.url, source: 'registry' as const }))),
+    ...newDocuments.map(({ manufacturer, document }) => ({ manufacturer, url: document.url, source: 'listing' as const })),
+    ...newManufacturers.flatMap(manufacturer =>
+      manufacturer.documents.map(document => ({ manufacturer: manufacturer.suggestedId, url: document.url, source: 'listing' as const }))),
+  ];
+  const checked = await Promise.all(toCheck.map(async link => ({ ...link, error: await checkUrl(link.url, context) })));
+  const deadUrls = checked.filter((link): link is DeadUrl => link.error !== undefined);
+
+  const report: DiscoveryReport = {
+    id: randomUUID(),
+    checkedAt,
+    source,
+    listedDocuments: listed.length,
+    checkedUrls: toCheck.length,
+    newManufacturers,
+    newDocuments,
+    deadUrls,
+  };
+  await saveDiscoveryReport(report);
+  return report;
+}
+
+// Discoveries in progress, by source, base URL and whether links are checked
+const running = new Map<string, Promise<DiscoveryReport>>();
+
+/**
+ * Crawls the resources listing and reports new manufacturers, new documents
+ * and dead URLs for review. Nothing is added to the registry. A call made
+ * while a discovery with the same options is running gets that discovery's
+ * report; one with other options runs its own.
+ */
+export function runDiscovery(options: DiscoveryOptions = {}): Promise<DiscoveryReport> {
+  const config = options.config ?? loadSyncConfig();
+  const source = options.source ?? config.discoveryUrl;
+  const key = JSON.stringify([source, options.baseUrl ?? null, options.checkLinks !== false]);
+  let discovery = running.get(key);
+  if (!discovery) {
+    discovery = discover({ ...options, config, source }).finally(() => {
+      running.delete(key);
+    });
+    running.set(key, discovery);
+  }
+  return discovery;
+}
@@ -0,0 +1,66 @@
+import { z } from 'zod';
+import { isSameRule } from './chunking';
+import type { VerifiedRule } from './evidence';
+
+export const DOCUMENT_TYPES = ['policy', 'faq', 'notice', 'data-submission-guide', 'exemption-form', 'other'] as const;
+
+export type DocumentType = (typeof DOCUMENT_TYPES)[number];
+
+/** How each type of document is referred to in extraction prompts. */
+export const DOCUMENT_LABELS: Record<DocumentType, string> = {
+  policy: 'policy',
+  faq: 'FAQ',
+  notice: 'notice letter',
+  'data-submission-guide': 'data submission guide',
+  'exemption-form': 'exemption form',
+  other: 'program document',
+};
+
+/** A document a manufacturer publishes about its 340B program. */
+export interface PolicyDocumentRef {
+  url: string;
+  type: DocumentType;
+  title?: string;
+}
+
+export const policyDocumentRefSchema = z.object({
+  url: z.string().url(),
+  type: z.enum(DOCUMENT_TYPES).default('policy'),
+  title: z.string().trim().min(1).optional(),
+});
+
+/** A rule in a manufacturer's merged rule set, with the documents that state it. */
+export type AttributedRule = VerifiedRule & {
+  /** Where the rule was taken from first, then any other documents repeating it. */
+  documents: PolicyDocumentRef[];
+};
+
+export interface DocumentRules {
+  document: PolicyDocumentRef;
+  rules: VerifiedRule[];
+}
+
+/**
+ * Merges the rule sets of a manufacturer's documents, given in registry order,
+ * into one. A rule repeated by a later document (an FAQ quoting the policy) is
+ * kept once, as the earlier document states it. Rules are renumbered because
+ * ids are only unique within a document.
+ */
+export function mergeDocumentRules(documents: DocumentRules[]): AttributedRule[] {
+  const merged: AttributedRule[] = [];
+
+  for (const { document, rules } of documents) {
+    for (const rule of rules) {
+      const existing = merged.find(candidate => isSameRule(candidate, rule));
+      if (existing) {
+        if (!existing.documents.some(source => source.url === document.url)) {
+          existing.documents.push(document);
+        }
+        continue;
+      }
+      merged.push({ ...rule, documents: [document] });
+    }
+  }
+
+  return merged.map((rule, i) => ({ ...rule, rule_id: `R${String(i + 1).padStart(3, '0')}` }));
+}
@@ -0,0 +1,89 @@
+import { APICallError } from 'ai';
+
+/** Pipeline stage a manufacturer sync failed in. */
+export type SyncStage = 'download' | 'parse' | 'extraction' | 'validation' | 'write';
+
+export const SYNC_STAGES = ['download', 'parse', 'extraction', 'validation', 'write'] as const;
+
+export interface PolicySyncErrorOptions {
+  retryable?: boolean;
+  /** Server-requested delay before retrying (from Retry-After). */
+  retryAfterMs?: number;
+  cause?: unknown;
+}
+
+export class PolicySyncError extends Error {
+  readonly stage: SyncStage;
+  readonly retryable: boolean;
+  readonly retryAfterMs?: number;
+
+  constructor(stage: SyncStage, message: string, options: PolicySyncErrorOptions = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'PolicySyncError';
+    this.stage = stage;
+    this.retryable = options.retryable ?? false;
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+/** Thrown instead of calling the LLM once the run's budget is used up. */
+export class BudgetExhaustedError extends PolicySyncError {
+  constructor() {
+    super('extraction', 'LLM budget for the run is used up');
+    this.name = 'BudgetExhaustedError';
+  }
+}
+
+// Request timeout, too early, rate limited, and server-side failures.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+export function isRetryableStatus(status: number): boolean {
+  return RETRYABLE_STATUS.has(status);
+}
+
+export function isNetworkError(error: unknown): boolean {
+  if (!(error instanceof Error)) return false;
+  const code = (error as { code?: string }).code ?? ((error.cause as { code?: string } | undefined)?.code);
+  if (code && RETRYABLE_NETWORK_CODES.has(code)) return true;
+  // node-fetch reports socket-level failures as FetchError with type 'system'
+  return error.name === 'FetchError' && (error as { type?: string }).type === 'system';
+}
+
+/** Parses a Retry-After header given either in seconds or as an HTTP date. */
+export function parseRetryAfter(value: string | null | undefined): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function messageOf(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Wraps an error thrown at `stage` as a PolicySyncError, deciding whether it
+ * is worth retrying. Errors that are already classified pass through.
+ */
+export function classifyError(stage: SyncStage, error: unknown): PolicySyncError {
+  if (error instanceof PolicySyncError) return error;
+
+  if (APICallError.isInstance(error)) {
+    const retryAfterMs = parseRetryAfter(error.responseHeaders?.['retry-after']);
+    return new PolicySyncError(stage, error.message, { retryable: error.isRetryable, retryAfterMs, cause: error });
+  }
+
+  return new PolicySyncError(stage, messageOf(error), { retryable: isNetworkError(error), cause: error });
+}
@@ -0,0 +1,378 @@
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { randomUUID } from 'crypto';
+import type { MastraScorer } from '@mastra/core/scores';
+import { policyRuleSchema, RULE_FIELDS, type PolicyRule, type RuleField } from './rules';
+import { DOCUMENT_TYPES, type DocumentType } from './documents';
+import { evidenceCountsSchema, type EvidenceCounts, type VerifiedRule } from './evidence';
+import { extractDocumentRules } from './sync';
+import { loadSyncConfig, type SyncConfig } from './config';
+import { modelSettingsSchema, type ModelSettings } from './models';
+import { getPrompt, promptId } from './prompts';
+import { saveEvaluationReport } from './store';
+
+/** Hand-labeled rules for a sample document: what a perfect extraction returns. */
+export interface GoldenRuleSet {
+  name: string;
+  /** Absolute path of the sample PDF. */
+  pdf: string;
+  documentType: DocumentType;
+  rules: PolicyRule[];
+}
+
+// On disk the PDF path is relative to the golden set's file
+const goldenFileSchema = z.object({
+  name: z.string().min(1),
+  pdf: z.string().min(1),
+  documentType: z.enum(DOCUMENT_TYPES).default('policy'),
+  rules: z.array(policyRuleSchema).min(1),
+});
+
+/** Fields scored for precision and recall; rule ids are arbitrary and evidence is scored on its own. */
+export const SCORED_FIELDS = RULE_FIELDS.filter(
+  (field): field is Exclude<RuleField, 'rule_id' | 'evidence_excerpt'> => field !== 'rule_id' && field !== 'evidence_excerpt',
+);
+
+export type ScoredField = (typeof SCORED_FIELDS)[number];
+
+// Evidence overlap at which an extracted rule is taken to state a golden rule
+const MATCH_THRESHOLD = 0.6;
+// Token F1 at which a field value counts as correct; summaries are paraphrased, not copied
+const FIELD_MATCH_THRESHOLD = 0.5;
+
+export interface FieldScore {
+  truePositives: number;
+  falsePositives: number;
+  falseNegatives: number;
+  precision: number | null;
+  recall: number | null;
+}
+
+export interface RuleSetComparison {
+  golden: number;
+  extracted: number;
+  matched: number;
+  precision: number | null;
+  recall: number | null;
+  f1: number | null;
+  fields: Record<ScoredField, FieldScore>;
+  split: {
+    /** Golden rules stated by exactly one extracted rule that states nothing else. */
+    correct: number;
+    /** Golden rules spread over several extracted rules. */
+    overSplit: number;
+    /** Extracted rules that lump several golden rules together. */
+    merged: number;
+    /** Share of golden rules split correctly. */
+    score: number;
+  };
+  evidence: {
+    counts: EvidenceCounts;
+    /** Share of the rules the model returned whose excerpt was found verbatim. */
+    fidelity: number | null;
+    /** Mean overlap between matched rules' excerpts and the golden ones. */
+    goldenOverlap: number | null;
+  };
+}
+
+function tokens(value: string): string[] {
+  const normalized = value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return normalized ? normalized.split(' ') : [];
+}
+
+function counts(values: string[]): Map<string, number> {
+  const result = new Map<string, number>();
+  for (const value of values) result.set(value, (result.get(value) ?? 0) + 1);
+  return result;
+}
+
+function commonTokens(a: string[], b: string[]): number {
+  const bCounts = counts(b);
+  let common = 0;
+  for (const [token, count] of counts(a)) common += Math.min(count, bCounts.get(token) ?? 0);
+  return common;
+}
+
+// How much of the shorter excerpt the longer one contains, so a rule quoting a whole paragraph still matches
+function evidenceOverlap(a: string, b: string): number {
+  const aTokens = tokens(a);
+  const bTokens = tokens(b);
+  if (aTokens.length === 0 || bTokens.length === 0) return 0;
+  return commonTokens(aTokens, bTokens) / Math.min(aTokens.length, bTokens.length);
+}
+
+function tokenF1(a: string, b: string): number {
+  const aTokens = tokens(a);
+  const bTokens = tokens(b);
+  if (aTokens.length === 0 || bTokens.length === 0) return 0;
+  const common = commonTokens(aTokens, bTokens);
+  return common === 0 ? 0 : (2 * common) / (aTokens.length + bTokens.length);
+}
+
+const ratio = (numerator: number, denominator: number): number | null =>
+  denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+
+function scoreFields(golden: PolicyRule[], extracted: PolicyRule[], pairs: [number, number][]): Record<ScoredField, FieldScore> {
+  const matchedGolden = new Set(pairs.map(([g]) => g));
+  const matchedExtracted = new Set(pairs.map(([, e]) => e));
+
+  return Object.fromEntries(SCORED_FIELDS.map(field => {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    for (const [g, e] of pairs) {
+      const expected = golden[g][field];
+      const actual = extracted[e][field];
+      if (expected && actual) {
+        if (tokenF1(expected, actual) >= FIELD_MATCH_THRESHOLD) {
+          truePositives++;
+        } else {
+          falsePositives++;
+          falseNegatives++;
+        }
+      } else if (expected) {
+        falseNegatives++;
+      } else if (actual) {
+        falsePositives++;
+      }
+    }
+    falsePositives += extracted.filter((rule, e) => !matchedExtracted.has(e) && rule[field]).length;
+    falseNegatives += golden.filter((rule, g) => !matchedGolden.has(g) && rule[field]).length;
+
+    const score: FieldScore = {
+      truePositives,
+      falsePositives,
+      falseNegatives,
+      precision: ratio(truePositives, truePositives + falsePositives),
+      recall: ratio(truePositives, truePositives + falseNegatives),
+    };
+    return [field, score];
+  })) as Record<ScoredField, FieldScore>;
+}
+
+/**
+ * Scores extracted rules against a golden set. Rules are paired one to one by
+ * how much their evidence excerpts overlap, best pairs first; `evidence` is the
+ * count of every rule the model returned, including ones dropped as unverified.
+ */
+export function compareRuleSets(golden: PolicyRule[], extracted: VerifiedRule[], evidence: EvidenceCounts): RuleSetComparison {
+  const overlaps = golden.map(goldenRule =>
+    extracted.map(rule => evidenceOverlap(goldenRule.evidence_excerpt, rule.evidence_excerpt)));
+
+  const candidates = overlaps
+    .flatMap((row, g) => row.map((overlap, e) => ({ g, e, overlap })))
+    .filter(candidate => candidate.overlap >= MATCH_THRESHOLD)
+    .sort((a, b) => b.overlap - a.overlap);
+  const pairs: [number, number][] = [];
+  const pairedGolden = new Set<number>();
+  const pairedExtracted = new Set<number>();
+  for (const { g, e } of candidates) {
+    if (pairedGolden.has(g) || pairedExtracted.has(e)) continue;
+    pairs.push([g, e]);
+    pairedGolden.add(g);
+    pairedExtracted.add(e);
+  }
+
+  const statedBy = overlaps.map(row => row.map((overlap, e) => (overlap >= MATCH_THRESHOLD ? e : -1)).filter(e => e !== -1));
+  const states = extracted.map((_, e) => overlaps.filter(row => row[e] >= MATCH_THRESHOLD).length);
+  const correct = statedBy.filter(rules => rules.length === 1 && states[rules[0]] === 1).length;
+
+  const matched = pairs.length;
+  const precision = ratio(matched, extracted.length);
+  const recall = ratio(matched, golden.length);
+  const returned = evidence.verified + evidence.weak + evidence.unverified;
+  return {
+    golden: golden.length,
+    extracted: extracted.length,
+    matched,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? Math.round(((2 * precision * recall) / (precision + recall)) * 1000) / 1000
+      : null,
+    fields: scoreFields(golden, extracted, pairs),
+    split: {
+      correct,
+      overSplit: statedBy.filter(rules => rules.length > 1).length,
+      merged: states.filter(count => count > 1).length,
+      score: ratio(correct, golden.length) ?? 0,
+    },
+    evidence: {
+      counts: evidence,
+      fidelity: ratio(evidence.verified, returned),
+      goldenOverlap: ratio(pairs.reduce((sum, [g, e]) => sum + overlaps[g][e], 0), pairs.length),
+    },
+  };
+}
+
+export async function loadGoldenSets(dir: string): Promise<GoldenRuleSet[]> {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  return Promise.all(files.map(async file => {
+    const path = join(dir, file);
+    const parsed = goldenFileSchema.safeParse(JSON.parse(await fs.readFile(path, 'utf-8')));
+    if (!parsed.success) {
+      throw new Error(`Invalid golden rule set ${path}: ${parsed.error.issues.map(issue => `${issue.path.join('.')} ${issue.message}`).join('; ')}`);
+    }
+    return { ...parsed.data, pdf: resolve(dirname(path), parsed.data.pdf) };
+  }));
+}
+
+export interface SetEvaluation {
+  name: string;
+  documentType: DocumentType;
+  comparison?: RuleSetComparison;
+  /** The extracted rules, for inspecting what was missed or added. */
+  rules?: VerifiedRule[];
+  /** Results of the Mastra scorers run on the set, by scorer name. */
+  scores?: Record<string, { score: number; reason?: string }>;
+  error?: string;
+}
+
+export interface EvaluationReport {
+  id: string;
+  startedAt: string;
+  finishedAt: string;
+  model: ModelSettings;
+  prompt: string;
+  sets: SetEvaluation[];
+  /** Micro-averaged over all sets that could be extracted. */
+  summary: {
+    precision: number | null;
+    recall: number | null;
+    splitScore: number | null;
+    evidenceFidelity: number | null;
+    fields: Record<ScoredField, Pick<FieldScore, 'precision' | 'recall'>>;
+  };
+}
+
+const ruleSetComparisonSchema = z.object({
+  golden: z.number(),
+  extracted: z.number(),
+  matched: z.number(),
+  precision: z.number().nullable(),
+  recall: z.number().nullable(),
+  f1: z.number().nullable(),
+  fields: z.record(z.object({
+    truePositives: z.number(),
+    falsePositives: z.number(),
+    falseNegatives: z.number(),
+    precision: z.number().nullable(),
+    recall: z.number().nullable(),
+  })),
+  split: z.object({ correct: z.number(), overSplit: z.number(), merged: z.number(), score: z.number() }),
+  evidence: z.object({
+    counts: evidenceCountsSchema,
+    fidelity: z.number().nullable(),
+    goldenOverlap: z.number().nullable(),
+  }),
+});
+
+export const evaluationReportSchema = z.object({
+  id: z.string(),
+  startedAt: z.string(),
+  finishedAt: z.string(),
+  model: modelSettingsSchema,
+  prompt: z.string(),
+  sets: z.array(z.object({
+    name: z.string(),
+    documentType: z.enum(DOCUMENT_TYPES),
+    comparison: ruleSetComparisonSchema.optional(),
+    rules: z.array(z.record(z.unknown())).optional(),
+    scores: z.record(z.object({ score: z.number(), reason: z.string().optional() })).optional(),
+    error: z.string().optional(),
+  })),
+  summary: z.object({
+    precision: z.number().nullable(),
+    recall: z.number().nullable(),
+    splitScore: z.number().nullable(),
+    evidenceFidelity: z.number().nullable(),
+    fields: z.record(z.object({ precision: z.number().nullable(), recall: z.number().nullable() })),
+  }),
+});
+
+function summarize(comparisons: RuleSetComparison[]): EvaluationReport['summary'] {
+  const sum = (value: (comparison: RuleSetComparison) => number) =>
+    comparisons.reduce((total, comparison) => total + value(comparison), 0);
+  const matched = sum(comparison => comparison.matched);
+  const returned = sum(({ evidence: { counts: c } }) => c.verified + c.weak + c.unverified);
+
+  return {
+    precision: ratio(matched, sum(comparison => comparison.extracted)),
+    recall: ratio(matched, sum(comparison => comparison.golden)),
+    splitScore: ratio(sum(comparison => comparison.split.correct), sum(comparison => comparison.golden)),
+    evidenceFidelity: ratio(sum(comparison => comparison.evidence.counts.verified), returned),
+    fields: Object.fromEntries(SCORED_FIELDS.map(field => {
+      const truePositives = sum(comparison => comparison.fields[field].truePositives);
+      return [field, {
+        precision: ratio(truePositives, truePositives + sum(comparison => comparison.fields[field].falsePositives)),
+        recall: ratio(truePositives, truePositives + sum(comparison => comparison.fields[field].falseNegatives)),
+      }];
+    })) as EvaluationReport['summary']['fields'],
+  };
+}
+
+export interface EvaluationOptions {
+  /** Directory of golden rule set files. */
+  goldenDir: string;
+  config?: SyncConfig;
+  /** Extract with these settings instead of the configured model. */
+  model?: ModelSettings;
+  /** Extract with this prompt, as '<name>@<version>', instead of the configured one. */
+  prompt?: string;
+  /** Mastra scorers to run on each set, given the extracted rules as output and the golden ones as ground truth. */
+  scorers?: MastraScorer[];
+}
+
+/**
+ * Extracts rules from each golden set's sample PDF with the configured model
+ * and prompt, scores them against the labels and records the report next to
+ * the sync runs. A set that can't be extracted is reported, not thrown.
+ */
+export async function runEvaluation(options: EvaluationOptions): Promise<EvaluationReport> {
+  const config = options.config ?? loadSyncConfig();
+  const id = randomUUID();
+  const startedAt = new Date().toISOString();
+  const prompt = promptId(getPrompt(options.prompt ?? config.prompt));
+  const goldenSets = await loadGoldenSets(options.goldenDir);
+
+  const sets: SetEvaluation[] = [];
+  let model = options.model ?? config.model;
+  for (const set of goldenSets) {
+    const evaluation: SetEvaluation = { name: set.name, documentType: set.documentType };
+    try {
+      const pdf = await fs.readFile(set.pdf);
+      const { rules, detail } = await extractDocumentRules(pdf, { url: set.pdf, type: set.documentType, title: set.name }, {
+        config,
+        model: options.model,
+        prompt,
+      });
+      model = detail.model ?? model;
+      evaluation.rules = rules;
+      const evidence = detail.evidence ?? { verified: 0, weak: 0, unverified: 0 };
+      evaluation.comparison = compareRuleSets(set.rules, rules, evidence);
+      if (options.scorers?.length) {
+        evaluation.scores = {};
+        for (const scorer of options.scorers) {
+          const result = await scorer.run({ runId: id, input: { set: set.name }, output: { rules, evidence }, groundTruth: set.rules });
+          evaluation.scores[scorer.name] = { score: result.score, reason: result.reason };
+        }
+      }
+    } catch (error) {
+      evaluation.error = error instanceof Error ? error.message : String(error);
+    }
+    sets.push(evaluation);
+  }
+
+  const report: EvaluationReport = {
+    id,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    model,
+    prompt,
+    sets,
+    summary: summarize(sets.flatMap(set => (set.comparison ? [set.comparison] : []))),
+  };
+  await saveEvaluationReport(report);
+  return report;
+}
@@ -0,0 +1,205 @@
+import { z } from 'zod';
+import type { PolicyPage, RuleProvenance, SourcedRule } from './chunking';
+import type { RuleConstraints } from './constraints';
+
+export type EvidenceStatus = 'verified' | 'weak' | 'unverified';
+
+export interface EvidenceMatch {
+  status: EvidenceStatus;
+  score: number;
+  page: number | null;
+}
+
+export type VerifiedRule = SourcedRule & {
+  evidence: EvidenceMatch;
+  /** PDF page the rule is stated on, numbered from 1; null when it can't be pinned to one page. */
+  source_page: number | null;
+  /** effective_date and geography_or_location parsed, the text left as extracted. */
+  constraints: RuleConstraints;
+};
+
+export interface EvidenceCounts {
+  verified: number;
+  weak: number;
+  unverified: number;
+}
+
+export const evidenceCountsSchema = z.object({
+  verified: z.number(),
+  weak: z.number(),
+  unverified: z.number(),
+});
+
+/** A rule kept with evidence that only loosely matches the document, to be checked against it. */
+export interface EvidenceReview {
+  rule_id: string;
+  score: number;
+  page: number | null;
+  evidence_excerpt: string;
+}
+
+export const evidenceReviewSchema = z.object({
+  rule_id: z.string(),
+  score: z.number(),
+  page: z.number().nullable(),
+  evidence_excerpt: z.string(),
+});
+
+export const VERIFIED_THRESHOLD = 0.9;
+export const WEAK_THRESHOLD = 0.7;
+
+// Longest excerpt compared character by character; longer ones are truncated.
+const MAX_COMPARE_CHARS = 2000;
+
+// Words that reverse a requirement; 't' is what normalizing leaves of "don't"
+const NEGATIONS = new Set(['no', 'not', 'never', 'nor', 'cannot', 't']);
+
+interface TokenIndex {
+  tokens: string[];
+  pages: number[];
+}
+
+function normalize(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/[‘’‚′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/-\s*\n\s*/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(value: string): string[] {
+  const normalized = normalize(value);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Builds the token stream the excerpts are matched against. Tokens run across
+ * page boundaries so an excerpt that spans two pages can still be found.
+ */
+export function indexPolicyText(pages: PolicyPage[]): TokenIndex {
+  const index: TokenIndex = { tokens: [], pages: [] };
+  for (const page of pages) {
+    for (const token of tokenize(page.text)) {
+      index.tokens.push(token);
+      index.pages.push(page.pageNumber);
+    }
+  }
+  return index;
+}
+
+function levenshteinRatio(a: string, b: string): number {
+  if (a === b) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function countTokens(tokens: string[]): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const token of tokens) counts.set(token, (counts.get(token) ?? 0) + 1);
+  return counts;
+}
+
+// Start of the window (same length as the excerpt) sharing the most tokens with it.
+function bestWindowStart(excerpt: string[], index: TokenIndex): number {
+  const wanted = countTokens(excerpt);
+  const window = new Map<string, number>();
+  const size = Math.min(excerpt.length, index.tokens.length);
+  let matches = 0;
+  let best = 0;
+  let bestStart = 0;
+
+  const add = (token: string) => {
+    const count = window.get(token) ?? 0;
+    if (count < (wanted.get(token) ?? 0)) matches++;
+    window.set(token, count + 1);
+  };
+  const remove = (token: string) => {
+    const count = (window.get(token) ?? 0) - 1;
+    window.set(token, count);
+    if (count < (wanted.get(token) ?? 0)) matches--;
+  };
+
+  for (let i = 0; i < index.tokens.length; i++) {
+    add(index.tokens[i]);
+    if (i >= size) remove(index.tokens[i - size]);
+    if (i >= size - 1 && matches > best) {
+      best = matches;
+      bestStart = i - size + 1;
+    }
+  }
+  return bestStart;
+}
+
+function classify(score: number): EvidenceStatus {
+  if (score >= VERIFIED_THRESHOLD) return 'verified';
+  if (score >= WEAK_THRESHOLD) return 'weak';
+  return 'unverified';
+}
+
+// The numbers and negations of a token run, which a quote can't change and still say the same
+function keyTokens(tokens: string[]): string {
+  return tokens.filter(token => /\d/.test(token) || NEGATIONS.has(token)).sort().join(' ');
+}
+
+/**
+ * Locates an evidence excerpt in the policy text. Exact matches (after
+ * normalizing case, punctuation and whitespace) score 1; otherwise the closest
+ * window of the same length is scored by edit distance. A near match whose
+ * numbers or negations differ from the window's is unverified however close
+ * it scores, as "within 30 days" for "within 45 days" misquotes the policy.
+ */
+export function verifyEvidence(excerpt: string, index: TokenIndex): EvidenceMatch {
+  const tokens = tokenize(excerpt);
+  if (tokens.length === 0 || index.tokens.length === 0) {
+    return { status: 'unverified', score: 0, page: null };
+  }
+
+  // Padding with spaces keeps the exact search on token boundaries.
+  const needle = tokens.join(' ');
+  const haystack = ` ${index.tokens.join(' ')} `;
+  const exactAt = haystack.indexOf(` ${needle} `);
+  if (exactAt !== -1) {
+    const tokenOffset = haystack.slice(0, exactAt + 1).split(' ').length - 2;
+    return { status: 'verified', score: 1, page: index.pages[tokenOffset] };
+  }
+
+  const start = bestWindowStart(tokens, index);
+  const window = index.tokens.slice(start, start + tokens.length).join(' ');
+  const score = Math.round(
+    levenshteinRatio(needle.slice(0, MAX_COMPARE_CHARS), window.slice(0, MAX_COMPARE_CHARS)) * 100,
+  ) / 100;
+  const status = keyTokens(tokens) === keyTokens(window.split(' ')) ? classify(score) : 'unverified';
+
+  return { status, score, page: status === 'unverified' ? null : index.pages[start] };
+}
+
+/** The page the evidence was found on, or the rule's chunk page when the chunk is a single page. */
+export function sourcePage(provenance: RuleProvenance, evidence: EvidenceMatch): number | null {
+  if (evidence.page !== null) return evidence.page;
+  return provenance.pageStart === provenance.pageEnd ? provenance.pageStart : null;
+}
+
+export function countEvidence(matches: EvidenceMatch[]): EvidenceCounts {
+  const counts: EvidenceCounts = { verified: 0, weak: 0, unverified: 0 };
+  for (const match of matches) counts[match.status]++;
+  return counts;
+}
+
+/** The weakly matched rules, which are kept but need someone to confirm their evidence. */
+export function evidenceForReview(rules: VerifiedRule[]): EvidenceReview[] {
+  return rules
+    .filter(rule => rule.evidence.status === 'weak')
+    .map(rule => ({ rule_id: rule.rule_id, score: rule.evidence.score, page: rule.evidence.page, evidence_excerpt: rule.evidence_excerpt }));
+}
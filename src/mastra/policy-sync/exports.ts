@@ -0,0 +1,116 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { rulesToCSV } from './rules';
+import type { VerifiedRule } from './evidence';
+import type { DistanceLimit } from './constraints';
+import type { RuleDiff } from './diff';
+import type { SyncStage } from './errors';
+import type { LlmUsage } from './usage';
+import { getCurrentDocumentRules, getRunResults, getSyncRun } from './store';
+import { mergeDocumentRules, type AttributedRule } from './documents';
+
+// CSV files and last_run_status.json are renderings of the policy sync
+// database, rewritten after each run for people and tools that read files.
+
+interface LastRunStatus {
+  run_id: string;
+  last_run: string;
+  updates: string[];
+  changes: Record<string, Pick<RuleDiff, 'added' | 'removed' | 'modified'>>;
+  failures: Record<string, { stage?: SyncStage; error: string }>;
+  llm_usage?: LlmUsage;
+  /** Manufacturers left for the next run because the LLM budget ran out. */
+  skipped_for_budget?: string[];
+}
+
+interface ExportedResult {
+  id: string;
+  updated: boolean;
+  documents?: { diff?: RuleDiff }[];
+  error?: string;
+  errorStage?: SyncStage;
+}
+
+function totalChanges(result: ExportedResult): Pick<RuleDiff, 'added' | 'removed' | 'modified'> {
+  const total = { added: 0, removed: 0, modified: 0 };
+  for (const { diff } of result.documents ?? []) {
+    total.added += diff?.added ?? 0;
+    total.removed += diff?.removed ?? 0;
+    total.modified += diff?.modified ?? 0;
+  }
+  return total;
+}
+
+function formatPages(rule: VerifiedRule): string {
+  const { pageStart, pageEnd } = rule.provenance;
+  return pageStart === pageEnd ? String(pageStart) : `${pageStart}-${pageEnd}`;
+}
+
+function formatDistance(limit: DistanceLimit | null): string {
+  return limit ? `${limit.value} ${limit.unit}` : '';
+}
+
+export function renderRulesCSV(rules: AttributedRule[]): string {
+  return rulesToCSV(rules, {
+    source_page: rule => (rule.source_page === null ? '' : String(rule.source_page)),
+    document_types: rule => rule.documents.map(document => document.type).join(';'),
+    document_urls: rule => rule.documents.map(document => document.url).join(';'),
+    source_chunks: rule => rule.provenance.chunks.map(index => index + 1).join(';'),
+    source_pages: formatPages,
+    evidence_status: rule => rule.evidence.status,
+    evidence_score: rule => rule.evidence.score.toFixed(2),
+    evidence_page: rule => (rule.evidence.page === null ? '' : String(rule.evidence.page)),
+    effective_from: rule => rule.constraints.effective_from ?? '',
+    effective_until: rule => rule.constraints.effective_until ?? '',
+    distance_limit: rule => formatDistance(rule.constraints.distance_limit),
+    distance_from: rule => rule.constraints.distance_limit?.from ?? '',
+    states: rule => rule.constraints.states.join(';'),
+    same_state_as_entity: rule => String(rule.constraints.same_state_as_entity),
+  });
+}
+
+export function rulesCSVPath(outputDir: string, manufacturer: string): string {
+  return join(outputDir, `${manufacturer}_340b_rules.csv`);
+}
+
+/**
+ * The manufacturer's rule set: the current rules of each of its registered
+ * documents, merged. Null until some document has had rules extracted.
+ */
+export async function getManufacturerRules(manufacturer: string): Promise<AttributedRule[] | null> {
+  const documents = await getCurrentDocumentRules(manufacturer);
+  return documents.length > 0 ? mergeDocumentRules(documents) : null;
+}
+
+/** Rewrites `<manufacturer>_340b_rules.csv` from the manufacturer's merged rule set. */
+export async function exportRulesCSV(outputDir: string, manufacturer: string): Promise<boolean> {
+  const rules = await getManufacturerRules(manufacturer);
+  if (rules === null) return false;
+
+  await fs.writeFile(rulesCSVPath(outputDir, manufacturer), renderRulesCSV(rules), 'utf-8');
+  return true;
+}
+
+/** Rewrites last_run_status.json from a recorded sync run. */
+export async function exportLastRunStatus(outputDir: string, runId: string): Promise<void> {
+  const run = await getSyncRun(runId);
+  if (!run) {
+    throw new Error(`Sync run ${runId} not found`);
+  }
+
+  const results = await getRunResults<ExportedResult>(runId);
+  const updated = results.filter(result => result.updated);
+  const status: LastRunStatus = {
+    run_id: run.id,
+    last_run: run.finishedAt ?? run.startedAt,
+    updates: updated.map(result => result.id),
+    changes: Object.fromEntries(updated.map(result => [result.id, totalChanges(result)])),
+    failures: Object.fromEntries(results
+      .filter(result => result.error !== undefined)
+      .map(result => [result.id, { stage: result.errorStage, error: result.error as string }])),
+    llm_usage: run.usage,
+    skipped_for_budget: run.budgetSkipped,
+  };
+
+  await fs.writeFile(join(outputDir, 'last_run_status.json'), JSON.stringify(status, null, 2), 'utf-8');
+}
@@ -0,0 +1,86 @@
+import { randomUUID } from 'crypto';
+import { startPolicySync, type SyncOptions, type SyncResult } from './sync';
+import { acquireSyncLock, failInterruptedRuns, releaseSyncLock, renewSyncLock } from './store';
+
+/** Thrown when a sync is requested while another one is still running. */
+export class SyncInProgressError extends Error {
+  /** Unset when the other sync hasn't recorded its run yet. */
+  readonly runId?: string;
+
+  constructor(runId?: string) {
+    super(runId ? `Policy sync ${runId} is already running` : 'A policy sync is already starting');
+    this.name = 'SyncInProgressError';
+    this.runId = runId;
+  }
+}
+
+export interface SyncJob {
+  /** The job id is the id of the sync run it records. */
+  runId: string;
+  result: Promise<SyncResult>;
+}
+
+// Runs share the output directory and current rule sets, so one at a time, across
+// processes too: the database lock is a lease, renewed while the run is going.
+const LOCK_NAME = 'policy-sync';
+const LOCK_TTL_MS = 5 * 60_000;
+const LOCK_RENEW_MS = 60_000;
+
+let activeJob: SyncJob | undefined;
+let starting = false;
+
+export function getActiveSyncJob(): SyncJob | undefined {
+  return activeJob;
+}
+
+/**
+ * Starts a sync in the background and returns once its run is recorded. The
+ * outcome is available from the store (or `result`) when the job finishes.
+ */
+export async function startSyncJob(options: Omit<SyncOptions, 'lease'> = {}): Promise<SyncJob> {
+  if (activeJob) throw new SyncInProgressError(activeJob.runId);
+  if (starting) throw new SyncInProgressError();
+
+  starting = true;
+  const lease = { name: LOCK_NAME, owner: randomUUID(), ttlMs: LOCK_TTL_MS };
+  try {
+    const holder = await acquireSyncLock(lease.name, lease.owner, lease.ttlMs);
+    if (holder) throw new SyncInProgressError(holder.runId);
+
+    let renewal: NodeJS.Timeout | undefined;
+    try {
+      // With the lock held, any run still marked running was cut short
+      await failInterruptedRuns();
+      const { runId, result } = await startPolicySync({ ...options, lease });
+      renewal = setInterval(() => {
+        renewSyncLock(lease).catch(error => {
+          console.error(`Failed to renew the lock for policy sync ${runId}:`, error);
+        });
+      }, LOCK_RENEW_MS);
+
+      const job: SyncJob = {
+        runId,
+        result: result.finally(async () => {
+          clearInterval(renewal);
+          if (activeJob === job) activeJob = undefined;
+          // The lease expires on its own, so a failed release mustn't fail the run
+          await releaseSyncLock(lease.name, lease.owner).catch(error => {
+            console.error(`Failed to release the lock for policy sync ${runId}:`, error);
+          });
+        }),
+      };
+      // The run records its own failure; keep it from surfacing as an unhandled rejection
+      job.result.catch(error => {
+        console.error(`Policy sync ${runId} failed:`, error);
+      });
+      activeJob = job;
+      return job;
+    } catch (error) {
+      clearInterval(renewal);
+      await releaseSyncLock(lease.name, lease.owner);
+      throw error;
+    }
+  } finally {
+    starting = false;
+  }
+}
@@ -0,0 +1,195 @@
+/** A text run as returned by pdf.js getTextContent. */
+export interface TextItem {
+  str: string;
+  /** [scaleX, skewY, skewX, scaleY, x, y] in PDF points, y growing up the page. */
+  transform: number[];
+  width: number;
+  height: number;
+}
+
+/** A table reconstructed from a page's text layer. */
+export interface PolicyTable {
+  /** Cell text by row, the header row first. */
+  rows: string[][];
+}
+
+export interface PageLayout {
+  /** Page text with each table rendered as a Markdown table. */
+  text: string;
+  tables: PolicyTable[];
+}
+
+interface Cell {
+  text: string;
+  x: number;
+  end: number;
+}
+
+interface Line {
+  y: number;
+  size: number;
+  cells: Cell[];
+}
+
+interface Column {
+  x: number;
+  end: number;
+}
+
+// Runs this close vertically share a line (superscripts sit slightly off the baseline)
+const SAME_LINE_POINTS = 2;
+// Gaps wider than this many ems separate cells; narrower ones separate words
+const CELL_GAP_EMS = 1.5;
+const WORD_GAP_EMS = 0.15;
+// How far column edges may drift from row to row
+const ALIGN_POINTS = 4;
+// Rows further apart than this many line heights end a table
+const MAX_ROW_GAP_LINES = 3;
+const MIN_TABLE_ROWS = 3;
+// Side-by-side prose columns look like a two-column table of long cells
+const MAX_PROSE_CELL_CHARS = 30;
+
+function fontSize(item: TextItem): number {
+  return Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+}
+
+function toCells(items: TextItem[]): Cell[] {
+  const cells: Cell[] = [];
+  for (const item of [...items].sort((a, b) => a.transform[4] - b.transform[4])) {
+    const x = item.transform[4];
+    const size = fontSize(item);
+    const last = cells[cells.length - 1];
+    const gap = last ? x - last.end : Infinity;
+    if (last && gap < CELL_GAP_EMS * size) {
+      const space = gap > WORD_GAP_EMS * size && !/\s$/.test(last.text) && !/^\s/.test(item.str) ? ' ' : '';
+      last.text += space + item.str;
+      last.end = Math.max(last.end, x + item.width);
+    } else {
+      cells.push({ text: item.str, x, end: x + item.width });
+    }
+  }
+  return cells
+    .map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }))
+    .filter(cell => cell.text.length > 0);
+}
+
+// Groups runs into lines in content-stream order, which keeps prose columns apart
+function toLines(items: TextItem[]): Line[] {
+  const groups: { y: number; size: number; items: TextItem[] }[] = [];
+  for (const item of items) {
+    if (item.str.trim() === '') continue;
+    const y = item.transform[5];
+    const last = groups[groups.length - 1];
+    if (last && Math.abs(last.y - y) <= SAME_LINE_POINTS) {
+      last.items.push(item);
+    } else {
+      groups.push({ y, size: fontSize(item), items: [item] });
+    }
+  }
+  return groups.map(group => ({ y: group.y, size: group.size, cells: toCells(group.items) }))
+    .filter(line => line.cells.length > 0);
+}
+
+function aligned(cell: Cell, column: Column): boolean {
+  return Math.abs(cell.x - column.x) <= ALIGN_POINTS
+    || Math.abs(cell.end - column.end) <= ALIGN_POINTS
+    || Math.abs((cell.x + cell.end) / 2 - (column.x + column.end) / 2) <= ALIGN_POINTS;
+}
+
+/**
+ * The column of each cell, or null if the line doesn't fit the columns: a
+ * cell belongs to a column it aligns with or overlaps, and must stop short
+ * of the next column.
+ */
+function mapToColumns(line: Line, columns: Column[]): number[] | null {
+  const mapping: number[] = [];
+  let next = 0;
+  for (const cell of line.cells) {
+    let column = -1;
+    for (let j = next; j < columns.length && column === -1; j++) {
+      const overlaps = cell.x < columns[j].end && cell.end > columns[j].x;
+      if (aligned(cell, columns[j]) || overlaps) column = j;
+    }
+    if (column === -1) return null;
+    if (column + 1 < columns.length && cell.end > columns[column + 1].x + ALIGN_POINTS) return null;
+    mapping.push(column);
+    next = column + 1;
+  }
+  return mapping;
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/** Reads a table whose header is `lines[start]`; returns it and the index of the line after it. */
+function readTable(lines: Line[], start: number): { table: PolicyTable; end: number } | null {
+  const header = lines[start];
+  const columns: Column[] = header.cells.map(cell => ({ x: cell.x, end: cell.end }));
+  const rows: string[][] = [header.cells.map(cell => cell.text)];
+
+  let end = start + 1;
+  for (; end < lines.length; end++) {
+    const line = lines[end];
+    if (Math.abs(lines[end - 1].y - line.y) > MAX_ROW_GAP_LINES * line.size) break;
+    const mapping = mapToColumns(line, columns);
+    if (!mapping) break;
+
+    if (mapping[0] === 0) {
+      const row = columns.map(() => '');
+      line.cells.forEach((cell, i) => { row[mapping[i]] = cell.text; });
+      rows.push(row);
+    } else if (rows.length > 1) {
+      // No first cell: the previous row's cells wrapping onto another line
+      const row = rows[rows.length - 1];
+      line.cells.forEach((cell, i) => { row[mapping[i]] = `${row[mapping[i]]} ${cell.text}`.trim(); });
+    } else {
+      break;
+    }
+    line.cells.forEach((cell, i) => {
+      const column = columns[mapping[i]];
+      column.x = Math.min(column.x, cell.x);
+      column.end = Math.max(column.end, cell.end);
+    });
+  }
+
+  if (rows.length < MIN_TABLE_ROWS) return null;
+  const prose = columns.every((_, j) => median(rows.map(row => row[j].length)) > MAX_PROSE_CELL_CHARS);
+  return prose ? null : { table: { rows }, end };
+}
+
+function toMarkdown(table: PolicyTable): string {
+  const row = (cells: string[]) => `| ${cells.map(cell => cell.replace(/\|/g, '/')).join(' | ')} |`;
+  const [header, ...body] = table.rows;
+  return [row(header), row(header.map(() => '---')), ...body.map(row)].join('\n');
+}
+
+/**
+ * Lays out a page's text runs as lines, finding tables along the way: runs
+ * of lines whose cells line up in the same columns. Tables are rendered as
+ * Markdown so rows and columns survive into the extraction prompt.
+ */
+export function layoutPage(items: TextItem[]): PageLayout {
+  const lines = toLines(items);
+  const blocks: string[] = [];
+  const tables: PolicyTable[] = [];
+  let prose: string[] = [];
+
+  for (let i = 0; i < lines.length;) {
+    const found = lines[i].cells.length >= 2 ? readTable(lines, i) : null;
+    if (found) {
+      if (prose.length > 0) blocks.push(prose.join('\n'));
+      prose = [];
+      blocks.push(toMarkdown(found.table));
+      tables.push(found.table);
+      i = found.end;
+    } else {
+      prose.push(lines[i].cells.map(cell => cell.text).join(' '));
+      i++;
+    }
+  }
+  if (prose.length > 0) blocks.push(prose.join('\n'));
+
+  return { text: blocks.join('\n\n'), tables };
+}
@@ -0,0 +1,124 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { wrapLanguageModel } from 'ai';
+import type { ModelSettings, ResolvedModel } from './models';
+
+/** 'record' saves the model's responses as fixtures; 'replay' answers from them without calling a model. */
+export type LlmFixtureMode = 'record' | 'replay';
+
+export const LLM_FIXTURE_MODES = ['record', 'replay'] as const;
+
+export interface LlmFixtureOptions {
+  mode: LlmFixtureMode;
+  /** Directory holding one JSON file per recorded prompt. */
+  dir: string;
+}
+
+type CallOptions = Parameters<ResolvedModel['doGenerate']>[0];
+type GenerateResult = Awaited<ReturnType<ResolvedModel['doGenerate']>>;
+
+interface LlmFixture {
+  key: string;
+  /** Start of the prompt's last message, to tell fixtures apart when reviewing them. */
+  preview: string;
+  /** 'recorded' from a model, or 'hand-written' as a stand-in for one; `note` says how it was made. */
+  origin: 'recorded' | 'hand-written';
+  note?: string;
+  response: Pick<GenerateResult, 'content' | 'finishReason' | 'usage'>;
+}
+
+/** Thrown in replay mode for a prompt nothing was recorded for. */
+export class MissingFixtureError extends Error {
+  constructor(key: string, dir: string) {
+    super(`No recorded LLM response for prompt ${key} in ${dir}; record one with POLICY_SYNC_LLM_MODE=record`);
+    this.name = 'MissingFixtureError';
+  }
+}
+
+/**
+ * Hash of what the model is asked, leaving out which model and its settings,
+ * so responses recorded with one model replay for any configuration.
+ */
+export function promptKey(options: CallOptions): string {
+  return createHash('sha256')
+    .update(JSON.stringify({ prompt: options.prompt, responseFormat: options.responseFormat }))
+    .digest('hex');
+}
+
+function fixturePath(dir: string, key: string): string {
+  return join(dir, `${key}.json`);
+}
+
+function preview(options: CallOptions): string {
+  const last = options.prompt[options.prompt.length - 1];
+  const text = typeof last?.content === 'string'
+    ? last.content
+    : (last?.content ?? []).map(part => (part.type === 'text' ? part.text : '')).join('');
+  return text.slice(0, 200);
+}
+
+async function readFixture(dir: string, key: string): Promise<LlmFixture> {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath(dir, key), 'utf-8'));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') throw new MissingFixtureError(key, dir);
+    throw error;
+  }
+}
+
+async function writeFixture(dir: string, options: CallOptions, result: GenerateResult): Promise<void> {
+  const key = promptKey(options);
+  const fixture: LlmFixture = {
+    key,
+    preview: preview(options),
+    origin: 'recorded',
+    response: { content: result.content, finishReason: result.finishReason, usage: result.usage },
+  };
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(fixturePath(dir, key), `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+function replayModel(dir: string): ResolvedModel {
+  return {
+    specificationVersion: 'v2',
+    provider: 'replay',
+    modelId: dir,
+    supportedUrls: {},
+    async doGenerate(options) {
+      const fixture = await readFixture(dir, promptKey(options));
+      return { ...fixture.response, warnings: [] };
+    },
+    async doStream() {
+      throw new Error('Replayed models only record generate calls, not streams');
+    },
+  };
+}
+
+/** Settings recorded for rules that came from fixtures rather than the configured model. */
+export function replaySettings(options: LlmFixtureOptions): ModelSettings {
+  return { provider: 'replay', model: options.dir };
+}
+
+/**
+ * The model to extract with under fixtures: in replay mode a stand-in that
+ * never resolves the real model, so no provider or API key is needed; in
+ * record mode the real model, saving each response it gives.
+ */
+export async function fixtureModel(
+  options: LlmFixtureOptions,
+  resolveReal: () => Promise<ResolvedModel>,
+): Promise<ResolvedModel> {
+  if (options.mode === 'replay') return replayModel(options.dir);
+
+  return wrapLanguageModel({
+    model: await resolveReal(),
+    middleware: {
+      wrapGenerate: async ({ doGenerate, params }) => {
+        const result = await doGenerate();
+        await writeFixture(options.dir, params, result);
+        return result;
+      },
+    },
+  });
+}
@@ -0,0 +1,122 @@
+import { z } from 'zod';
+import type { LanguageModel } from 'ai';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+
+/** The model and generation settings rules are extracted with. */
+export interface ModelSettings {
+  /** AI SDK provider, e.g. 'openai', 'anthropic', or 'openai-compatible' for a local server. */
+  provider: string;
+  model: string;
+  temperature?: number;
+  maxOutputTokens?: number;
+  /** Endpoint to call instead of the provider's default; required for 'openai-compatible'. */
+  baseURL?: string;
+}
+
+export const DEFAULT_MODEL = 'openai/gpt-4o-mini';
+
+// Model ids can contain slashes themselves, as in 'openai-compatible/meta-llama/Llama-3.1-8B'
+const MODEL_ID = /^([a-z0-9][a-z0-9.-]*)\/(.+)$/;
+
+export const modelSettingsSchema = z.object({
+  provider: z.string(),
+  model: z.string(),
+  temperature: z.number().optional(),
+  maxOutputTokens: z.number().optional(),
+  baseURL: z.string().optional(),
+});
+
+/** Per-manufacturer changes to the configured model settings. */
+export const modelOverrideSchema = z.object({
+  model: z.string().regex(MODEL_ID, "Use '<provider>/<model>', e.g. 'openai/gpt-4o-mini'").optional(),
+  temperature: z.number().min(0).max(2).optional(),
+  maxOutputTokens: z.number().int().positive().optional(),
+  baseURL: z.string().url().optional(),
+});
+
+export type ModelOverride = z.infer<typeof modelOverrideSchema>;
+
+/** Thrown for a model id that isn't '<provider>/<model>' or a provider that can't be loaded. */
+export class ModelConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ModelConfigError';
+  }
+}
+
+export function parseModelId(id: string): Pick<ModelSettings, 'provider' | 'model'> {
+  const match = MODEL_ID.exec(id.trim());
+  if (!match) {
+    throw new ModelConfigError(`Model '${id}' must be '<provider>/<model>', e.g. '${DEFAULT_MODEL}'`);
+  }
+  return { provider: match[1], model: match[2] };
+}
+
+export function describeModel(settings: ModelSettings): string {
+  return `${settings.provider}/${settings.model}`;
+}
+
+/**
+ * Applies a manufacturer's override to the configured settings. A base URL
+ * belongs to its provider, so switching provider drops the configured one.
+ */
+export function applyModelOverride(base: ModelSettings, override?: ModelOverride): ModelSettings {
+  if (!override) return base;
+  const id = override.model ? parseModelId(override.model) : { provider: base.provider, model: base.model };
+  const settings: ModelSettings = {
+    ...id,
+    temperature: override.temperature ?? base.temperature,
+    maxOutputTokens: override.maxOutputTokens ?? base.maxOutputTokens,
+    baseURL: override.baseURL ?? (id.provider === base.provider ? base.baseURL : undefined),
+  };
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)) as ModelSettings;
+}
+
+export type ResolvedModel = Exclude<LanguageModel, string>;
+
+/** Creates the AI SDK model for settings naming a given provider. */
+export type ModelFactory = (settings: ModelSettings) => ResolvedModel | Promise<ResolvedModel>;
+
+const factories = new Map<string, ModelFactory>([
+  ['openai', settings => createOpenAI({ baseURL: settings.baseURL })(settings.model)],
+  ['openai-compatible', settings => {
+    if (!settings.baseURL) {
+      throw new ModelConfigError(`Provider 'openai-compatible' needs a base URL for model '${settings.model}'`);
+    }
+    return createOpenAICompatible({
+      name: 'openai-compatible',
+      baseURL: settings.baseURL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    }).chatModel(settings.model);
+  }],
+]);
+
+/** Adds or replaces the factory used for a provider name. */
+export function registerModelProvider(provider: string, factory: ModelFactory): void {
+  factories.set(provider, factory);
+}
+
+// Other providers load from their AI SDK package, which exports a create<Provider> factory
+async function importProvider(settings: ModelSettings): Promise<ResolvedModel> {
+  const packageName = `@ai-sdk/${settings.provider}`;
+  let module: Record<string, unknown>;
+  try {
+    module = await import(packageName);
+  } catch {
+    throw new ModelConfigError(`Unknown model provider '${settings.provider}': install ${packageName} or register a factory for it`);
+  }
+  const create = Object.entries(module).find(([name, value]) => /^create[A-Z]/.test(name) && typeof value === 'function');
+  if (!create) {
+    throw new ModelConfigError(`${packageName} does not export a provider factory`);
+  }
+  const provider = (create[1] as (options: { baseURL?: string }) => (model: string) => ResolvedModel)(
+    settings.baseURL ? { baseURL: settings.baseURL } : {},
+  );
+  return provider(settings.model);
+}
+
+export async function resolveModel(settings: ModelSettings): Promise<ResolvedModel> {
+  const factory = factories.get(settings.provider);
+  return factory ? factory(settings) : importProvider(settings);
+}
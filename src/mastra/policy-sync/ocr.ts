@@ -0,0 +1,144 @@
+import { createWorker } from 'tesseract.js';
+
+/** How a document's text was obtained: its text layer, OCR of its page images, or both. */
+export type ExtractionMethod = 'text' | 'ocr' | 'mixed';
+
+export const EXTRACTION_METHODS = ['text', 'ocr', 'mixed'] as const;
+
+export interface TextExtraction {
+  method: ExtractionMethod;
+  /** Pages whose text came from OCR. */
+  ocrPages?: number[];
+  /** Image-only or garbled pages neither path could read; left out of rule extraction. */
+  unreadablePages?: number[];
+  /** Tables rebuilt from the text layer's layout and passed on as Markdown. */
+  tables?: number;
+}
+
+/**
+ * 'sparse' is too little text to judge, as on image-only pages; 'garbled' is
+ * what broken font encodings produce, symbols and fragments instead of words.
+ */
+export type TextQuality = 'usable' | 'sparse' | 'garbled';
+
+// Non-whitespace characters a page needs before its text is trusted on its own
+const MIN_PAGE_CHARS = 80;
+
+// A word or number, allowing surrounding punctuation: 'covered', '340B', '(45', 'day-to-day,'
+const WORD = /^\W*[A-Za-z0-9]+(?:['’\-/.,:][A-Za-z0-9]+)*\W*$/;
+
+// Markdown table rows from layoutPage; NDC lists are mostly digits
+const TABLE_RULE = /^\|[\s|:-]*\|$/gm;
+
+export function assessText(text: string): TextQuality {
+  const plain = text.replace(TABLE_RULE, '').replace(/\|/g, ' ');
+  const compact = plain.replace(/\s+/g, '');
+  if (compact.length < MIN_PAGE_CHARS) return 'sparse';
+
+  const alphanumerics = compact.replace(/[^A-Za-z0-9]/g, '').length;
+  const letters = compact.replace(/[^A-Za-z]/g, '').length;
+  const words = plain.split(/\s+/).filter(word => word.length > 0);
+  const wordLike = words.filter(word => WORD.test(word)).length;
+  return alphanumerics / compact.length >= 0.6 && letters > 0 && wordLike / words.length >= 0.6 ? 'usable' : 'garbled';
+}
+
+// Smaller images are logos, signatures and rules, not scanned text
+const MIN_IMAGE_SIDE = 100;
+
+// pdf.js ImageKind; images without a kind are 1-bit masks
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+interface PdfImage {
+  width: number;
+  height: number;
+  kind?: number;
+  data: Uint8Array | Uint8ClampedArray;
+}
+
+// Grayscale PGM, which Tesseract reads without an image codec
+function toPGM(image: PdfImage): Buffer {
+  const { width, height, data } = image;
+  const gray = Buffer.alloc(width * height);
+  if (image.kind === RGB_24BPP || image.kind === RGBA_32BPP) {
+    const step = image.kind === RGB_24BPP ? 3 : 4;
+    for (let i = 0; i < gray.length; i++) {
+      const p = i * step;
+      gray[i] = Math.round((data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000);
+    }
+  } else {
+    // One bit per pixel with rows padded to whole bytes; set bits are background
+    const rowBytes = Math.ceil(width / 8);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        gray[y * width + x] = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7)) ? 255 : 0;
+      }
+    }
+  }
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), gray]);
+}
+
+// pdf-parse is pinned, and this is the pdf.js build it ships with
+async function loadPdfJs(): Promise<any> {
+  const pdfjsModule = await import('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  const pdfjs = (pdfjsModule as any).default ?? pdfjsModule;
+  pdfjs.disableWorker = true;
+  return pdfjs;
+}
+
+async function pageImages(pdfjs: any, page: any): Promise<PdfImage[]> {
+  const { OPS } = pdfjs;
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const images: PdfImage[] = [];
+  for (let i = 0; i < fnArray.length; i++) {
+    let image: PdfImage | undefined;
+    if (fnArray[i] === OPS.paintImageXObject) {
+      image = page.objs.get(argsArray[i][0]);
+    } else if (fnArray[i] === OPS.paintInlineImageXObject || fnArray[i] === OPS.paintImageMaskXObject) {
+      image = argsArray[i][0];
+    }
+    if (image?.data && image.width >= MIN_IMAGE_SIDE && image.height >= MIN_IMAGE_SIDE) {
+      images.push(image);
+    }
+  }
+  return images;
+}
+
+async function createOcrWorker() {
+  // Language data ships as a package, so OCR never downloads anything
+  const languageModule = await import('@tesseract.js-data/eng');
+  const language = (languageModule as any).default ?? languageModule;
+  return createWorker('eng', undefined, { langPath: language.langPath, gzip: language.gzip, cacheMethod: 'none' });
+}
+
+/**
+ * OCRs the images on the given pages (numbered from 1) with the bundled
+ * Tesseract engine. Pages without images big enough to hold text are left
+ * out of the result.
+ */
+export async function ocrPages(pdf: Buffer, pageNumbers: number[]): Promise<Map<number, string>> {
+  const pdfjs = await loadPdfJs();
+  // Decode JPEGs in pdf.js itself; the default hands them to a browser Image
+  const document = await pdfjs.getDocument({ data: new Uint8Array(pdf), nativeImageDecoderSupport: 'none' });
+  const texts = new Map<number, string>();
+  let worker: Awaited<ReturnType<typeof createOcrWorker>> | undefined;
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const images = await pageImages(pdfjs, await document.getPage(pageNumber));
+      if (images.length === 0) continue;
+
+      worker ??= await createOcrWorker();
+      const parts: string[] = [];
+      for (const image of images) {
+        const { data } = await worker.recognize(toPGM(image));
+        parts.push(data.text.trim());
+      }
+      texts.set(pageNumber, parts.filter(part => part.length > 0).join('\n\n'));
+    }
+  } finally {
+    await worker?.terminate();
+    await document.destroy();
+  }
+  return texts;
+}
@@ -0,0 +1,75 @@
+import type { PolicyPage } from './chunking';
+
+// Lines at each end of a page that can be a running header or footer
+const EDGE_LINES = 3;
+const MAX_RUNNING_LINE_CHARS = 150;
+
+export function normalizeWhitespace(text: string): string {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/[\t\f\v\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Joins words hyphenated across a line break ("eligi-\nble" becomes
+ * "eligible"), moving the rest of the word up to the first line. Only a
+ * lowercase continuation counts, so "340B-\nEligible" is left alone.
+ */
+export function dehyphenate(text: string): string {
+  return text
+    .replace(/([A-Za-z]{2,})[-\u00AD]\n([a-z]+[.,;:!?)]*) /g, '$1$2\n')
+    // The continuation was the whole line, so there is nothing to keep below
+    .replace(/([A-Za-z]{2,})[-\u00AD]\n([a-z]+[.,;:!?)]*)(?=\n|$)/g, '$1$2')
+    .replace(/\u00AD/g, '');
+}
+
+// Page numbers and dates in running lines change from page to page
+function runningLineKey(line: string): string {
+  return line.toLowerCase().replace(/\d+/g, '#');
+}
+
+// Indexes of the first and last few non-empty lines, keyed by which end they're at
+function edgeLines(lines: string[]): Map<number, string> {
+  const nonEmpty = lines.map((line, index) => (line.trim() ? index : -1)).filter(index => index !== -1);
+  const edges = new Map<number, string>();
+  for (const index of nonEmpty.slice(-EDGE_LINES)) edges.set(index, `bottom ${runningLineKey(lines[index])}`);
+  for (const index of nonEmpty.slice(0, EDGE_LINES)) edges.set(index, `top ${runningLineKey(lines[index])}`);
+  for (const [index] of edges) {
+    // A table's header row repeats on each page it continues onto, but it's content
+    if (lines[index].length > MAX_RUNNING_LINE_CHARS || lines[index].startsWith('|')) edges.delete(index);
+  }
+  return edges;
+}
+
+/**
+ * Drops lines that repeat at the top or bottom of at least half the pages
+ * (and at least three), such as letterheads, "Page 3 of 12" and
+ * confidentiality footers, so they don't end up in every chunk.
+ */
+export function stripRunningLines(pages: PolicyPage[]): PolicyPage[] {
+  const threshold = Math.max(3, Math.ceil(pages.length / 2));
+  if (pages.length < threshold) return pages;
+
+  const edges = pages.map(page => edgeLines(page.text.split('\n')));
+  const pageCounts = new Map<string, number>();
+  for (const pageEdges of edges) {
+    for (const key of new Set(pageEdges.values())) pageCounts.set(key, (pageCounts.get(key) ?? 0) + 1);
+  }
+
+  return pages.map((page, i) => {
+    const running = [...edges[i]].filter(([, key]) => (pageCounts.get(key) ?? 0) >= threshold).map(([index]) => index);
+    if (running.length === 0) return page;
+    return { ...page, text: page.text.split('\n').filter((_, index) => !running.includes(index)).join('\n').trim() };
+  });
+}
+
+/** Cleans extracted page text before chunking; page numbers are kept for provenance. */
+export function cleanPolicyPages(pages: PolicyPage[]): PolicyPage[] {
+  return stripRunningLines(pages.map(page => ({ ...page, text: normalizeWhitespace(page.text) })))
+    .map(page => ({ ...page, text: normalizeWhitespace(dehyphenate(page.text)) }));
+}
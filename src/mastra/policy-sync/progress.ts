@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+import type { SyncStage } from './errors';
+import type { SyncRunStatus } from './store';
+
+export const PROGRESS_STAGES = [
+  'queued',
+  'downloading',
+  'extracting-text',
+  'running-ocr',
+  'calling-llm',
+  'validating',
+  'diffing',
+  'written',
+  'unchanged',
+  'failed',
+  'over-budget',
+] as const;
+
+/** Where a manufacturer is in the sync; the last four are final. */
+export type ProgressStage = (typeof PROGRESS_STAGES)[number];
+
+export interface ManufacturerProgressEvent {
+  type: 'manufacturer';
+  runId: string;
+  manufacturer: string;
+  /** URL of the document the event is about; unset for the manufacturer as a whole. */
+  document?: string;
+  stage: ProgressStage;
+  at: string;
+  /** Extraction calls finished so far, while in 'calling-llm'. */
+  chunks?: { completed: number; total: number };
+  error?: string;
+  errorStage?: SyncStage;
+}
+
+export interface RunFinishedEvent {
+  type: 'run-finished';
+  runId: string;
+  at: string;
+  status: Exclude<SyncRunStatus, 'running'>;
+  updated?: number;
+  unchanged?: number;
+  failed?: number;
+  error?: string;
+}
+
+export type SyncProgressEvent = ManufacturerProgressEvent | RunFinishedEvent;
+
+export type ProgressListener = (event: SyncProgressEvent) => void;
+
+const events = new EventEmitter();
+// One listener per open progress stream
+events.setMaxListeners(0);
+
+// Latest event per manufacturer and document for runs in progress, so late subscribers can catch up
+const snapshots = new Map<string, Map<string, ManufacturerProgressEvent>>();
+
+export function publishProgress(event: SyncProgressEvent): void {
+  if (event.type === 'manufacturer') {
+    let snapshot = snapshots.get(event.runId);
+    if (!snapshot) {
+      snapshot = new Map();
+      snapshots.set(event.runId, snapshot);
+    }
+    snapshot.set(event.document ? `${event.manufacturer} ${event.document}` : event.manufacturer, event);
+  } else {
+    snapshots.delete(event.runId);
+  }
+  events.emit(event.runId, event);
+}
+
+/** Current stage of each manufacturer and document, or undefined if the run isn't in progress in this process. */
+export function getRunProgress(runId: string): ManufacturerProgressEvent[] | undefined {
+  const snapshot = snapshots.get(runId);
+  return snapshot ? [...snapshot.values()] : undefined;
+}
+
+/** Calls `listener` for each event of the run from now on; returns the unsubscribe function. */
+export function subscribeToRun(runId: string, listener: ProgressListener): () => void {
+  events.on(runId, listener);
+  return () => {
+    events.off(runId, listener);
+  };
+}
@@ -0,0 +1,196 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { diffRules, type RuleDiff } from './diff';
+import { readArchivedText } from './archive';
+import { getVersionsInForce } from './store';
+import { extractTextRules, resolveManufacturers } from './sync';
+import { loadSyncConfig, type SyncConfig } from './config';
+import { applyModelOverride, describeModel, type ModelSettings } from './models';
+import { getPrompt, promptId } from './prompts';
+import type { DocumentType } from './documents';
+import type { EvidenceCounts, VerifiedRule } from './evidence';
+
+/** What one prompt extracted from a document. */
+export interface PromptOutcome {
+  rules: VerifiedRule[];
+  evidence?: EvidenceCounts;
+  error?: string;
+}
+
+export interface DocumentComparison {
+  manufacturer: string;
+  url: string;
+  type: DocumentType;
+  /** Archived version whose text both prompts were run on. */
+  versionId: number;
+  model?: ModelSettings;
+  baseline?: PromptOutcome;
+  candidate?: PromptOutcome;
+  /** Changes going from the baseline's rules to the candidate's. */
+  diff?: RuleDiff;
+  error?: string;
+}
+
+export interface PromptComparisonReport {
+  id: string;
+  startedAt: string;
+  finishedAt: string;
+  baseline: string;
+  candidate: string;
+  documents: DocumentComparison[];
+  summary: {
+    documents: number;
+    failed: number;
+    baselineRules: number;
+    candidateRules: number;
+    added: number;
+    removed: number;
+    modified: number;
+    unchanged: number;
+  };
+}
+
+export interface PromptComparisonOptions {
+  /** Prompt in use, as '<name>@<version>'. */
+  baseline: string;
+  /** Prompt considered for promotion. */
+  candidate: string;
+  /** Manufacturer keys to compare on; all active ones when unset. */
+  manufacturers?: string[];
+  config?: SyncConfig;
+}
+
+async function extractWith(
+  prompt: string,
+  ...[pages, document, options]: Parameters<typeof extractTextRules>
+): Promise<PromptOutcome> {
+  try {
+    const { rules, detail } = await extractTextRules(pages, document, { ...options, prompt });
+    return { rules, evidence: detail.evidence };
+  } catch (error) {
+    return { rules: [], error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Runs two prompt versions over the archived text of each document's current
+ * version, with the model the manufacturer syncs with, and diffs the rules
+ * they extract. Nothing is downloaded or recorded as a new version.
+ */
+export async function comparePrompts(options: PromptComparisonOptions): Promise<PromptComparisonReport> {
+  const config = options.config ?? loadSyncConfig();
+  const baseline = promptId(getPrompt(options.baseline));
+  const candidate = promptId(getPrompt(options.candidate));
+  const startedAt = new Date().toISOString();
+  const manufacturers = await resolveManufacturers(options.manufacturers);
+
+  const documents: DocumentComparison[] = [];
+  for (const manufacturer of manufacturers) {
+    const model = applyModelOverride(config.model, manufacturer.model);
+    for (const version of await getVersionsInForce(manufacturer.id, new Date())) {
+      const document = { url: version.url, type: version.documentType ?? 'policy' };
+      const comparison: DocumentComparison = { manufacturer: manufacturer.id, ...document, versionId: version.id };
+      documents.push(comparison);
+
+      const pages = await readArchivedText(version.archivePath);
+      if (!pages) {
+        comparison.error = `Version ${version.id} was archived without its text`;
+        continue;
+      }
+      comparison.model = model;
+      comparison.baseline = await extractWith(baseline, pages, document, { config, model });
+      comparison.candidate = await extractWith(candidate, pages, document, { config, model });
+      if (comparison.baseline.error || comparison.candidate.error) {
+        comparison.error = comparison.baseline.error ?? comparison.candidate.error;
+        continue;
+      }
+      comparison.diff = diffRules(comparison.baseline.rules, comparison.candidate.rules);
+    }
+  }
+
+  const compared = documents.filter(document => document.diff);
+  const sum = (value: (document: DocumentComparison) => number) =>
+    compared.reduce((total, document) => total + value(document), 0);
+  return {
+    id: randomUUID(),
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    baseline,
+    candidate,
+    documents,
+    summary: {
+      documents: documents.length,
+      failed: documents.length - compared.length,
+      baselineRules: sum(document => document.baseline!.rules.length),
+      candidateRules: sum(document => document.candidate!.rules.length),
+      added: sum(document => document.diff!.added),
+      removed: sum(document => document.diff!.removed),
+      modified: sum(document => document.diff!.modified),
+      unchanged: sum(document => document.diff!.unchanged),
+    },
+  };
+}
+
+const cell = (value: string) => value.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+function describeRule(rule: VerifiedRule | undefined): string {
+  return rule ? cell(`**${rule.rule_id}** ${rule.requirement_type}: ${rule.condition_summary}`) : '';
+}
+
+function renderDocument(document: DocumentComparison): string[] {
+  const lines = [`## ${document.manufacturer}: ${document.type} ${document.url}`, ''];
+  if (document.model) lines.push(`Version ${document.versionId}, extracted with ${describeModel(document.model)}.`, '');
+  if (!document.diff || !document.baseline || !document.candidate) {
+    lines.push(`Not compared: ${document.error}`, '');
+    return lines;
+  }
+
+  const { diff, baseline, candidate } = document;
+  const byId = (rules: VerifiedRule[]) => new Map(rules.map(rule => [rule.rule_id, rule]));
+  const baselineRules = byId(baseline.rules);
+  const candidateRules = byId(candidate.rules);
+
+  lines.push(
+    `${baseline.rules.length} rules with the baseline, ${candidate.rules.length} with the candidate: ` +
+      `${diff.added} added, ${diff.removed} removed, ${diff.modified} modified, ${diff.unchanged} unchanged.`,
+    '',
+  );
+  if (diff.changes.length === 0) return lines;
+
+  lines.push('| Change | Baseline | Candidate | Fields changed |', '| --- | --- | --- | --- |');
+  for (const change of diff.changes) {
+    const before = change.type === 'modified' ? change.previous_rule_id : change.type === 'removed' ? change.rule_id : undefined;
+    const after = change.type === 'removed' ? undefined : change.rule_id;
+    const fields = (change.fields ?? [])
+      .map(field => `${field.field}: "${cell(field.before)}" → "${cell(field.after)}"`)
+      .join('<br>');
+    lines.push(`| ${change.type} | ${describeRule(before ? baselineRules.get(before) : undefined)} | ${describeRule(after ? candidateRules.get(after) : undefined)} | ${fields} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/** The report as Markdown, each document's changed rules side by side. */
+export function renderPromptComparison(report: PromptComparisonReport): string {
+  const { summary } = report;
+  return [
+    `# Prompt comparison: ${report.baseline} vs ${report.candidate}`,
+    '',
+    `Compared ${summary.documents - summary.failed} of ${summary.documents} documents on ${report.startedAt}. ` +
+      `Rules: ${summary.baselineRules} with the baseline, ${summary.candidateRules} with the candidate; ` +
+      `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged.`,
+    '',
+    ...report.documents.flatMap(renderDocument),
+  ].join('\n');
+}
+
+/** Writes the report as JSON and Markdown under `prompt-comparisons/`, returning the Markdown file's path. */
+export async function writePromptComparison(outputDir: string, report: PromptComparisonReport): Promise<string> {
+  const dir = join(outputDir, 'prompt-comparisons');
+  await fs.mkdir(dir, { recursive: true });
+  const name = `${report.startedAt.replace(/[:.]/g, '-')}_${report.baseline}_vs_${report.candidate}`;
+  await fs.writeFile(join(dir, `${name}.json`), `${JSON.stringify(report, null, 2)}\n`, 'utf-8');
+  await fs.writeFile(join(dir, `${name}.md`), renderPromptComparison(report), 'utf-8');
+  return join(dir, `${name}.md`);
+}
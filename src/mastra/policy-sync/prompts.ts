@@ -0,0 +1,141 @@
+/**
+ * A versioned pair of extraction prompts. Published versions are never edited:
+ * change the wording by adding the next version, compare it against the
+ * current one, then promote it by making it the default.
+ */
+export interface PromptTemplate {
+  name: string;
+  version: number;
+  /** What changed from the previous version. */
+  description: string;
+  system: string;
+  /** Message sent with each chunk; {{source}}, {{part}} and {{text}} are filled in. */
+  user: string;
+}
+
+export const PROMPT_TEMPLATES: PromptTemplate[] = [
+  {
+    name: 'policy-parser',
+    version: 1,
+    description: 'One row per condition, Markdown tables feeding applies_to_drugs and data_requirements',
+    system: `You are a 340B Manufacturer Policy Parser.
+
+Your job is to read the full text of a single manufacturer's 340B policy and extract all eligibility-related rules and conditions into a detailed structured table.
+
+Create one row per distinct condition, not one per paragraph.
+Split multi-condition sentences into separate rule rows.
+Never merge "register on 340B ESP" with "submit claims data" — separate rows.
+
+Return a list of rule objects with these fields:
+
+rule_id, entity_type, scope_area, requirement_type, condition_summary, applies_to_drugs, data_requirements, geography_or_location, effective_date, exceptions_or_notes, evidence_excerpt
+
+Tables in the policy are given as Markdown tables, header row first. When a table lists affected products or NDCs, fill applies_to_drugs from its rows (product names with their NDCs, separated by "; ") rather than summarizing. When a table lists the data fields to submit, fill data_requirements from its rows the same way. Quote evidence_excerpt from the table's cells.
+
+Use null for a field the policy does not address.
+evidence_excerpt must be copied verbatim from the policy text. Do not modify the wording.`,
+    user: 'Extract eligibility rules from the following 340B manufacturer {{source}} text{{part}}:\n\n{{text}}',
+  },
+  {
+    name: 'policy-parser',
+    version: 2,
+    description: 'entity_type, scope_area and requirement_type restricted to the controlled vocabularies',
+    system: `You are a 340B Manufacturer Policy Parser.
+
+Your job is to read the full text of a single manufacturer's 340B policy and extract all eligibility-related rules and conditions into a detailed structured table.
+
+Create one row per distinct condition, not one per paragraph.
+Split multi-condition sentences into separate rule rows.
+Never merge "register on 340B ESP" with "submit claims data" — separate rows.
+
+Return a list of rule objects with these fields:
+
+rule_id, entity_type, scope_area, requirement_type, condition_summary, applies_to_drugs, data_requirements, geography_or_location, effective_date, exceptions_or_notes, evidence_excerpt
+
+entity_type, scope_area and requirement_type take codes from the lists below, not free text. When a rule covers several, separate their codes with "; ". Use the broadest code that is accurate: ALL when the policy says "covered entities" without narrowing them, HOSPITAL or GRANTEE for those groups. Only when nothing in a list fits, describe the value in a few words instead.
+
+entity_type (HRSA covered entity types):
+- ALL: All covered entities
+- HOSPITAL: Hospital covered entities
+- GRANTEE: Grantee covered entities
+- DSH: Disproportionate share hospital
+- CAH: Critical access hospital
+- SCH: Sole community hospital
+- RRC: Rural referral center
+- PED: Children's hospital
+- CAN: Free-standing cancer hospital
+- FQHC: Federally qualified health center
+- FQHCLA: FQHC look-alike
+- RW: Ryan White HIV/AIDS program grantee
+- HM: Hemophilia treatment center
+- FP: Title X family planning clinic
+- STD: STD clinic
+- TB: Tuberculosis clinic
+- BL: Black lung clinic
+- NH: Native Hawaiian health center
+- UI: Urban Indian organization
+
+requirement_type:
+- esp_registration: Register on 340B ESP
+- claims_data_submission: Submit claims data
+- data_fields: Required claims data fields
+- submission_deadline: Data submission deadline
+- single_contract_pharmacy: Single contract pharmacy designation
+- distance_limit: Contract pharmacy distance limit
+- ownership_requirement: Pharmacy ownership requirement
+- in_house_pharmacy: In-house pharmacy only
+- product_scope: Products covered by the policy
+- rebate_model: Rebate instead of upfront discount
+- audit: Audit or attestation
+- noncompliance_consequence: Consequence of noncompliance
+- exemption: Exemption
+
+scope_area:
+- contract_pharmacy: Contract pharmacy
+- in_house_pharmacy: In-house pharmacy
+- claims_data: Claims data
+- registration: Registration
+- products: Products
+- pricing: 340B pricing
+- compliance: Compliance
+- general: General
+
+Tables in the policy are given as Markdown tables, header row first. When a table lists affected products or NDCs, fill applies_to_drugs from its rows (product names with their NDCs, separated by "; ") rather than summarizing. When a table lists the data fields to submit, fill data_requirements from its rows the same way. Quote evidence_excerpt from the table's cells.
+
+Use null for a field the policy does not address.
+evidence_excerpt must be copied verbatim from the policy text. Do not modify the wording.`,
+    user: 'Extract eligibility rules from the following 340B manufacturer {{source}} text{{part}}:\n\n{{text}}',
+  },
+];
+
+/** The prompt syncs use unless configured otherwise. */
+export const DEFAULT_PROMPT = 'policy-parser@2';
+
+/** Thrown for a prompt id that names no template. */
+export class UnknownPromptError extends Error {
+  constructor(id: string) {
+    const known = PROMPT_TEMPLATES.map(promptId).join(', ');
+    super(`Unknown prompt '${id}'; use '<name>@<version>' or '<name>' for its latest version, one of: ${known}`);
+    this.name = 'UnknownPromptError';
+  }
+}
+
+export function promptId(template: Pick<PromptTemplate, 'name' | 'version'>): string {
+  return `${template.name}@${template.version}`;
+}
+
+/** Looks up 'name@version', or the latest version for a bare name. */
+export function getPrompt(id: string): PromptTemplate {
+  const [name, version] = id.trim().split('@');
+  const versions = PROMPT_TEMPLATES.filter(template => template.name === name);
+  const template = version === undefined
+    ? versions.reduce<PromptTemplate | undefined>((latest, t) => (!latest || t.version > latest.version ? t : latest), undefined)
+    : versions.find(t => String(t.version) === version);
+  if (!template) throw new UnknownPromptError(id);
+  return template;
+}
+
+/** Fills a template's placeholders in one pass, so values containing braces are left alone. */
+export function renderPrompt(template: string, values: Record<string, string>): string {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key: string) => values[key] ?? placeholder);
+}
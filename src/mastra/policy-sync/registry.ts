@@ -0,0 +1,199 @@
+import { z } from 'zod';
+import type { InStatement, Row } from '@libsql/client';
+import { getPolicyDb, inWriteTransaction } from './store';
+import { DOCUMENT_TYPES, policyDocumentRefSchema, type DocumentType, type PolicyDocumentRef } from './documents';
+import { modelOverrideSchema, type ModelOverride } from './models';
+
+export interface Manufacturer {
+  /** Stable key used in file names, the database and the API, e.g. 'merck'. */
+  id: string;
+  name: string;
+  aliases: string[];
+  /** FDA NDC labeler codes. */
+  labelerCodes: string[];
+  /** Documents to sync, the main policy first. Their rules merge into one set in this order. */
+  documents: PolicyDocumentRef[];
+  active: boolean;
+  notes?: string;
+  /** Extraction model settings that differ from the configured ones for this manufacturer's documents. */
+  model?: ModelOverride;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export const manufacturerSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  aliases: z.array(z.string()),
+  labelerCodes: z.array(z.string()),
+  documents: z.array(z.object({ url: z.string(), type: z.enum(DOCUMENT_TYPES), title: z.string().optional() })),
+  active: z.boolean(),
+  notes: z.string().optional(),
+  model: modelOverrideSchema.optional(),
+  createdAt: z.string(),
+  updatedAt: z.string().optional(),
+});
+
+const manufacturerFields = {
+  name: z.string().trim().min(1),
+  aliases: z.array(z.string().trim().min(1)),
+  labelerCodes: z.array(z.string().regex(/^\d{4,6}$/, 'Labeler codes are 4 to 6 digits')),
+  documents: z.array(policyDocumentRefSchema).min(1)
+    .refine(documents => new Set(documents.map(document => document.url)).size === documents.length, 'Document URLs must be unique'),
+  active: z.boolean(),
+  notes: z.string().nullable(),
+  model: modelOverrideSchema.nullable(),
+};
+
+export const newManufacturerSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, 'Use lowercase letters, digits and dashes'),
+  ...manufacturerFields,
+  aliases: manufacturerFields.aliases.default([]),
+  labelerCodes: manufacturerFields.labelerCodes.default([]),
+  active: manufacturerFields.active.default(true),
+  notes: manufacturerFields.notes.optional(),
+  model: manufacturerFields.model.optional(),
+});
+
+export const manufacturerUpdateSchema = z.object(manufacturerFields).partial();
+
+export type NewManufacturer = z.input<typeof newManufacturerSchema>;
+export type ManufacturerUpdate = z.input<typeof manufacturerUpdateSchema>;
+
+/** Thrown when creating a manufacturer whose id is taken. */
+export class ManufacturerExistsError extends Error {
+  constructor(id: string) {
+    super(`Manufacturer '${id}' already exists`);
+    this.name = 'ManufacturerExistsError';
+  }
+}
+
+const SELECT_MANUFACTURERS = `SELECT m.*,
+  (SELECT json_group_array(json_object('url', url, 'type', doc_type, 'title', title)) FROM (
+    SELECT url, doc_type, title FROM policy_documents d
+    WHERE d.manufacturer_id = m.id AND d.registered = 1 ORDER BY d.position, d.id
+  )) AS documents
+  FROM manufacturers m`;
+
+function toDocumentRef(document: { url: string; type: DocumentType; title: string | null }): PolicyDocumentRef {
+  return document.title === null ? { url: document.url, type: document.type } : { ...document, title: document.title };
+}
+
+function toManufacturer(row: Row): Manufacturer {
+  return {
+    id: String(row.id),
+    name: row.name === null ? String(row.id) : String(row.name),
+    aliases: JSON.parse(String(row.aliases)),
+    labelerCodes: JSON.parse(String(row.labeler_codes)),
+    documents: JSON.parse(String(row.documents)).map(toDocumentRef),
+    active: Number(row.active) === 1,
+    notes: row.notes === null ? undefined : String(row.notes),
+    model: row.model === null ? undefined : JSON.parse(String(row.model)),
+    createdAt: String(row.created_at),
+    updatedAt: row.updated_at === null ? undefined : String(row.updated_at),
+  };
+}
+
+// Replaces the manufacturer's registered documents; unlisted ones keep their history.
+function documentStatements(id: string, documents: PolicyDocumentRef[]): InStatement[] {
+  return [
+    { sql: 'UPDATE policy_documents SET registered = 0, position = NULL WHERE manufacturer_id = ?', args: [id] },
+    ...documents.map((document, position) => ({
+      sql: `INSERT INTO policy_documents (manufacturer_id, url, registered, position, doc_type, title) VALUES (?, ?, 1, ?, ?, ?)
+            ON CONFLICT (manufacturer_id, url) DO UPDATE SET
+              registered = 1, position = excluded.position, doc_type = excluded.doc_type, title = excluded.title`,
+      args: [id, document.url, position, document.type, document.title ?? null],
+    })),
+  ];
+}
+
+export async function listManufacturers(options: { includeInactive?: boolean } = {}): Promise<Manufacturer[]> {
+  const db = await getPolicyDb();
+  const filter = options.includeInactive ? '' : 'WHERE m.active = 1';
+  const result = await db.execute(`${SELECT_MANUFACTURERS} ${filter} ORDER BY m.id`);
+  return result.rows.map(toManufacturer);
+}
+
+export async function getManufacturer(id: string): Promise<Manufacturer | null> {
+  const db = await getPolicyDb();
+  const result = await db.execute({ sql: `${SELECT_MANUFACTURERS} WHERE m.id = ?`, args: [id] });
+  return result.rows[0] ? toManufacturer(result.rows[0]) : null;
+}
+
+/** Finds a manufacturer by id, display name or alias, ignoring case. */
+export async function findManufacturer(key: string): Promise<Manufacturer | null> {
+  const needle = key.trim().toLowerCase();
+  const byId = await getManufacturer(needle);
+  if (byId) return byId;
+
+  const all = await listManufacturers({ includeInactive: true });
+  return all.find(manufacturer =>
+    manufacturer.name.toLowerCase() === needle
+    || manufacturer.aliases.some(alias => alias.toLowerCase() === needle),
+  ) ?? null;
+}
+
+export async function createManufacturer(input: NewManufacturer): Promise<Manufacturer> {
+  const manufacturer = newManufacturerSchema.parse(input);
+  const now = new Date().toISOString();
+
+  // One transaction, so a failed documents write leaves no manufacturer without them
+  await inWriteTransaction(async tx => {
+    // Rows left by syncs of since-removed manufacturers have no name; claim those
+    const result = await tx.execute({
+      sql: `INSERT INTO manufacturers (id, created_at, name, aliases, labeler_codes, active, notes, model, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET
+              name = excluded.name, aliases = excluded.aliases, labeler_codes = excluded.labeler_codes,
+              active = excluded.active, notes = excluded.notes, model = excluded.model, updated_at = excluded.updated_at
+            WHERE manufacturers.name IS NULL`,
+      args: [
+        manufacturer.id,
+        now,
+        manufacturer.name,
+        JSON.stringify(manufacturer.aliases),
+        JSON.stringify(manufacturer.labelerCodes),
+        manufacturer.active ? 1 : 0,
+        manufacturer.notes ?? null,
+        manufacturer.model ? JSON.stringify(manufacturer.model) : null,
+        now,
+      ],
+    });
+    if (result.rowsAffected === 0) {
+      throw new ManufacturerExistsError(manufacturer.id);
+    }
+    await tx.batch(documentStatements(manufacturer.id, manufacturer.documents));
+  });
+  return (await getManufacturer(manufacturer.id))!;
+}
+
+/** Applies the given changes; returns null when there is no such manufacturer. */
+export async function updateManufacturer(id: string, changes: ManufacturerUpdate): Promise<Manufacturer | null> {
+  const update = manufacturerUpdateSchema.parse(changes);
+  const existing = await getManufacturer(id);
+  if (!existing) return null;
+
+  const columns: [string, string | number | null][] = [];
+  if (update.name !== undefined) columns.push(['name', update.name]);
+  if (update.aliases !== undefined) columns.push(['aliases', JSON.stringify(update.aliases)]);
+  if (update.labelerCodes !== undefined) columns.push(['labeler_codes', JSON.stringify(update.labelerCodes)]);
+  if (update.active !== undefined) columns.push(['active', update.active ? 1 : 0]);
+  if (update.notes !== undefined) columns.push(['notes', update.notes]);
+  if (update.model !== undefined) columns.push(['model', update.model && JSON.stringify(update.model)]);
+  columns.push(['updated_at', new Date().toISOString()]);
+
+  const db = await getPolicyDb();
+  await db.batch([
+    {
+      sql: `UPDATE manufacturers SET ${columns.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      args: [...columns.map(([, value]) => value), id],
+    },
+    ...(update.documents ? documentStatements(id, update.documents) : []),
+  ], 'write');
+  return getManufacturer(id);
+}
+
+/** Stops syncing a manufacturer while keeping its documents and rule history. */
+export function deactivateManufacturer(id: string): Promise<Manufacturer | null> {
+  return updateManufacturer(id, { active: false });
+}
@@ -0,0 +1,38 @@
+import { PolicySyncError } from './errors';
+
+export interface RetryOptions {
+  /** Attempts after the first one. */
+  retries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with full jitter: the nth retry waits a random time up to
+ * `baseDelayMs * 2^n`, capped at `maxDelayMs`. A server-provided Retry-After is
+ * honoured as a lower bound.
+ */
+export function backoffDelay(attempt: number, options: RetryOptions, retryAfterMs?: number): number {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  const jittered = Math.random() * ceiling;
+  return retryAfterMs === undefined ? jittered : Math.max(jittered, Math.min(retryAfterMs, options.maxDelayMs));
+}
+
+/**
+ * Runs `task`, retrying while it throws a retryable PolicySyncError. Anything
+ * else, or the last retryable failure, is rethrown as is.
+ */
+export async function withRetry<T>(task: () => Promise<T>, options: RetryOptions): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (!(error instanceof PolicySyncError) || !error.retryable || attempt >= options.retries) {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt, options, error.retryAfterMs));
+    }
+  }
+}
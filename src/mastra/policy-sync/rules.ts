@@ -0,0 +1,143 @@
+import { z } from 'zod';
+
+export const RULE_FIELDS = [
+  'rule_id',
+  'entity_type',
+  'scope_area',
+  'requirement_type',
+  'condition_summary',
+  'applies_to_drugs',
+  'data_requirements',
+  'geography_or_location',
+  'effective_date',
+  'exceptions_or_notes',
+  'evidence_excerpt',
+] as const;
+
+export type RuleField = (typeof RULE_FIELDS)[number];
+
+// Shape requested from the model. Every field is nullable so a missing value
+// comes back as null instead of failing the whole response.
+export const extractedRuleSchema = z.object({
+  rule_id: z.string().nullable(),
+  entity_type: z.string().nullable(),
+  scope_area: z.string().nullable(),
+  requirement_type: z.string().nullable(),
+  condition_summary: z.string().nullable(),
+  applies_to_drugs: z.string().nullable(),
+  data_requirements: z.string().nullable(),
+  geography_or_location: z.string().nullable(),
+  effective_date: z.string().nullable(),
+  exceptions_or_notes: z.string().nullable(),
+  evidence_excerpt: z.string().nullable(),
+});
+
+export const extractionResponseSchema = z.object({
+  rules: z.array(extractedRuleSchema),
+});
+
+export type ExtractedRule = z.infer<typeof extractedRuleSchema>;
+
+const requiredText = z.preprocess(
+  value => (typeof value === 'string' ? value.trim() : value),
+  z.string({ required_error: 'is required', invalid_type_error: 'is required' }).min(1, 'is required'),
+);
+
+const optionalText = z.preprocess(
+  value => (typeof value === 'string' ? value.trim() : ''),
+  z.string(),
+);
+
+// Shape a rule must have to be written out.
+export const policyRuleSchema = z.object({
+  rule_id: requiredText,
+  entity_type: requiredText,
+  scope_area: optionalText,
+  requirement_type: requiredText,
+  condition_summary: requiredText,
+  applies_to_drugs: optionalText,
+  data_requirements: optionalText,
+  geography_or_location: optionalText,
+  effective_date: optionalText,
+  exceptions_or_notes: optionalText,
+  evidence_excerpt: requiredText,
+});
+
+export type PolicyRule = z.infer<typeof policyRuleSchema>;
+
+export interface RejectedRule {
+  index: number;
+  chunk?: number;
+  rule_id?: string;
+  issues: string[];
+}
+
+export interface RuleValidationResult {
+  rules: PolicyRule[];
+  rejected: RejectedRule[];
+}
+
+export const rejectedRuleSchema = z.object({
+  index: z.number(),
+  chunk: z.number().optional(),
+  rule_id: z.string().optional(),
+  issues: z.array(z.string()),
+});
+
+export function validateRules(candidates: unknown[]): RuleValidationResult {
+  const rules: PolicyRule[] = [];
+  const rejected: RejectedRule[] = [];
+  const seenIds = new Set<string>();
+
+  candidates.forEach((candidate, index) => {
+    const parsed = policyRuleSchema.safeParse(candidate);
+    const rawId = (candidate as Partial<ExtractedRule> | null)?.rule_id;
+    const ruleId = typeof rawId === 'string' && rawId.trim() ? rawId.trim() : undefined;
+
+    if (!parsed.success) {
+      rejected.push({
+        index,
+        rule_id: ruleId,
+        issues: parsed.error.issues.map(issue => `${issue.path.join('.') || 'rule'} ${issue.message}`),
+      });
+      return;
+    }
+
+    if (seenIds.has(parsed.data.rule_id)) {
+      rejected.push({ index, rule_id: ruleId, issues: ['rule_id duplicates an earlier rule'] });
+      return;
+    }
+
+    seenIds.add(parsed.data.rule_id);
+    rules.push(parsed.data);
+  });
+
+  return { rules, rejected };
+}
+
+function escapeCSVCell(cell: string): string {
+  // Escape quotes and wrap in quotes if contains comma, quote, or newline
+  const escaped = cell.replace(/"/g, '""');
+  if (escaped.includes(',') || escaped.includes('"') || escaped.includes('\n')) {
+    return `"${escaped}"`;
+  }
+  return escaped;
+}
+
+/**
+ * Renders rules as CSV with one column per rule field. `extraColumns` appends
+ * derived columns (e.g. provenance) after the rule fields.
+ */
+export function rulesToCSV<T extends PolicyRule>(
+  rules: T[],
+  extraColumns: Record<string, (rule: T) => string> = {},
+): string {
+  const extras = Object.entries(extraColumns);
+  const header = [...RULE_FIELDS, ...extras.map(([name]) => name)].join(',');
+  const rows = rules.map(rule =>
+    [...RULE_FIELDS.map(field => rule[field]), ...extras.map(([, render]) => render(rule))]
+      .map(escapeCSVCell)
+      .join(','),
+  );
+  return [header, ...rows].join('\n');
+}
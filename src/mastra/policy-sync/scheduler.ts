@@ -0,0 +1,137 @@
+import { Cron } from 'croner';
+import { loadSyncConfig, type SyncConfig } from './config';
+import { startSyncJob, SyncInProgressError } from './jobs';
+import { getSchedulerState, saveSchedulerState, type SyncTrigger } from './store';
+import { runDiscovery } from './discovery';
+
+const SCHEDULER_NAME = 'policy-sync';
+
+export interface ScheduleStatus {
+  /** False when no schedule is configured for this process. */
+  enabled: boolean;
+  expression?: string;
+  timezone?: string;
+  paused: boolean;
+  nextRun?: string;
+  coveredUntil?: string;
+}
+
+/** Thrown when pausing or resuming without a configured schedule. */
+export class ScheduleNotConfiguredError extends Error {
+  constructor() {
+    super('No policy sync schedule is configured (set POLICY_SYNC_SCHEDULE)');
+    this.name = 'ScheduleNotConfiguredError';
+  }
+}
+
+let cron: Cron | undefined;
+let timezone: string | undefined;
+let discoveryCron: Cron | undefined;
+
+/**
+ * Starts a scheduled sync for a slot. The slot is marked covered before the
+ * sync starts, so a crash mid-run doesn't make it run again on restart.
+ */
+async function runSlot(slot: Date, trigger: Extract<SyncTrigger, 'schedule' | 'catch-up'>): Promise<void> {
+  try {
+    const state = await getSchedulerState(SCHEDULER_NAME);
+    // Paused by another process since this one last looked
+    if (state.paused) return;
+    await saveSchedulerState(SCHEDULER_NAME, { paused: false, coveredUntil: new Date().toISOString() });
+
+    const job = await startSyncJob({ trigger, scheduledFor: slot.toISOString() });
+    console.log(`Started ${trigger} policy sync ${job.runId} for ${slot.toISOString()}`);
+  } catch (error) {
+    if (error instanceof SyncInProgressError) {
+      console.warn(`Skipped ${trigger} policy sync for ${slot.toISOString()}: ${error.message}`);
+      return;
+    }
+    console.error(`Scheduled policy sync for ${slot.toISOString()} failed to start:`, error);
+  }
+}
+
+/**
+ * Starts syncing on the configured cron schedule, if there is one. Slots
+ * missed while the server was down are made up with a single catch-up run.
+ */
+export async function startPolicySyncScheduler(config: SyncConfig = loadSyncConfig()): Promise<ScheduleStatus> {
+  if (cron || !config.schedule) return getScheduleStatus();
+
+  const state = await getSchedulerState(SCHEDULER_NAME);
+  timezone = config.scheduleTimezone;
+  cron = new Cron(config.schedule, { name: SCHEDULER_NAME, timezone, paused: state.paused, protect: true }, job => {
+    return runSlot(job.currentRun() ?? new Date(), 'schedule');
+  });
+
+  if (!state.paused) {
+    const now = new Date();
+    const missed = state.coveredUntil ? cron.nextRun(state.coveredUntil) : null;
+    if (missed && missed <= now) {
+      await runSlot(missed, 'catch-up');
+    } else if (!state.coveredUntil) {
+      // First start: nothing before now counts as missed
+      await saveSchedulerState(SCHEDULER_NAME, { paused: false, coveredUntil: now.toISOString() });
+    }
+  }
+
+  return getScheduleStatus();
+}
+
+export function stopPolicySyncScheduler(): void {
+  cron?.stop();
+  cron = undefined;
+  discoveryCron?.stop();
+  discoveryCron = undefined;
+}
+
+/**
+ * Runs manufacturer discovery on its own schedule, if one is configured, and
+ * returns the next run time. Discovery only reports, so missed runs aren't made up.
+ */
+export function startDiscoveryScheduler(config: SyncConfig = loadSyncConfig()): string | undefined {
+  if (!discoveryCron && config.discoverySchedule) {
+    const options = { name: 'policy-discovery', timezone: config.scheduleTimezone, protect: true };
+    discoveryCron = new Cron(config.discoverySchedule, options, async () => {
+      try {
+        const report = await runDiscovery({ config });
+        console.log(`Discovery ${report.id} found ${report.newManufacturers.length} new manufacturers, `
+          + `${report.newDocuments.length} new documents and ${report.deadUrls.length} dead URLs`);
+      } catch (error) {
+        console.error('Scheduled manufacturer discovery failed:', error);
+      }
+    });
+  }
+  return discoveryCron?.nextRun()?.toISOString();
+}
+
+export async function getScheduleStatus(): Promise<ScheduleStatus> {
+  const state = await getSchedulerState(SCHEDULER_NAME);
+  const nextRun = cron && !state.paused ? cron.nextRun() : null;
+  return {
+    enabled: cron !== undefined,
+    expression: cron?.getPattern(),
+    timezone,
+    paused: state.paused,
+    nextRun: nextRun?.toISOString(),
+    coveredUntil: state.coveredUntil,
+  };
+}
+
+/** Stops starting scheduled syncs, here and in other processes sharing the database. A running sync carries on. */
+export async function pausePolicySyncSchedule(): Promise<ScheduleStatus> {
+  if (!cron) throw new ScheduleNotConfiguredError();
+
+  const state = await getSchedulerState(SCHEDULER_NAME);
+  await saveSchedulerState(SCHEDULER_NAME, { ...state, paused: true });
+  cron.pause();
+  return getScheduleStatus();
+}
+
+/** Resumes scheduled syncs. Slots that passed while paused were skipped on purpose and aren't caught up. */
+export async function resumePolicySyncSchedule(): Promise<ScheduleStatus> {
+  if (!cron) throw new ScheduleNotConfiguredError();
+
+  await saveSchedulerState(SCHEDULER_NAME, { paused: false, coveredUntil: new Date().toISOString() });
+  cron.resume();
+  return getScheduleStatus();
+}
@@ -0,0 +1,28 @@
+import { createHash } from 'crypto';
+
+/** What we knew about a manufacturer's policy document the last time it was processed. */
+export interface SourceState {
+  url: string;
+  etag?: string;
+  lastModified?: string;
+  contentHash: string;
+  textHash: string;
+  processedAt: string;
+}
+
+/** How a document was recognised as unchanged. */
+export type SourceMatch = 'http-not-modified' | 'content-hash' | 'text-hash';
+
+export function hashContent(content: Buffer | string): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/** Validators for a conditional GET, only when the stored state is for the same URL. */
+export function conditionalHeaders(url: string, previous?: SourceState): Record<string, string> {
+  if (!previous || previous.url !== url) return {};
+
+  const headers: Record<string, string> = {};
+  if (previous.etag) headers['If-None-Match'] = previous.etag;
+  if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  return headers;
+}
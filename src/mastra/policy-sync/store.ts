@@ -0,0 +1,802 @@
+import { createClient, type Client, type InStatement, type InValue, type Row, type Transaction } from '@libsql/client';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { RULE_FIELDS } from './rules';
+import { parseRuleConstraints } from './constraints';
+import type { VerifiedRule } from './evidence';
+import type { RuleDiff } from './diff';
+import type { SourceState } from './source-state';
+import type { DocumentRules, DocumentType } from './documents';
+import type { DiscoveryReport } from './discovery';
+import type { EvaluationReport } from './evaluation';
+import type { ExtractionMethod } from './ocr';
+import type { ModelSettings } from './models';
+import type { LlmUsage, RunBudget } from './usage';
+import { MANUFACTURER_NAMES, MANUFACTURER_POLICIES } from '../manufacturer-policies';
+
+// The registry starts out with the manufacturers that used to be hard-coded.
+function seedRegistryStatements(): InStatement[] {
+  const now = new Date().toISOString();
+  return Object.entries(MANUFACTURER_POLICIES).flatMap(([id, url]) => [
+    {
+      sql: `INSERT INTO manufacturers (id, created_at, name) VALUES (?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET name = COALESCE(manufacturers.name, excluded.name)`,
+      args: [id, now, MANUFACTURER_NAMES[id] ?? id],
+    },
+    {
+      sql: `INSERT INTO policy_documents (manufacturer_id, url, registered, position) VALUES (?, ?, 1, 0)
+            ON CONFLICT (manufacturer_id, url) DO UPDATE SET registered = 1, position = 0`,
+      args: [id, url],
+    },
+  ]);
+}
+
+// Each entry upgrades the database by one version (tracked in PRAGMA user_version).
+const MIGRATIONS: (InStatement | string)[][] = [[
+  `CREATE TABLE IF NOT EXISTS manufacturers (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS policy_documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    manufacturer_id TEXT NOT NULL REFERENCES manufacturers(id),
+    url TEXT NOT NULL,
+    etag TEXT,
+    last_modified TEXT,
+    content_hash TEXT,
+    text_hash TEXT,
+    processed_at TEXT,
+    current_version_id INTEGER REFERENCES document_versions(id),
+    UNIQUE (manufacturer_id, url)
+  )`,
+  `CREATE TABLE IF NOT EXISTS sync_runs (
+    id TEXT PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL,
+    force INTEGER NOT NULL DEFAULT 0,
+    total_manufacturers INTEGER,
+    updated INTEGER,
+    unchanged INTEGER,
+    error TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS document_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL REFERENCES policy_documents(id),
+    run_id TEXT NOT NULL REFERENCES sync_runs(id),
+    archived_at TEXT NOT NULL,
+    archive_path TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    text_hash TEXT,
+    etag TEXT,
+    last_modified TEXT,
+    status TEXT NOT NULL,
+    rules_count INTEGER,
+    changes TEXT,
+    error TEXT
+  )`,
+  `CREATE INDEX IF NOT EXISTS document_versions_by_document ON document_versions (document_id, archived_at)`,
+  `CREATE TABLE IF NOT EXISTS extracted_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    version_id INTEGER NOT NULL REFERENCES document_versions(id),
+    position INTEGER NOT NULL,
+    ${RULE_FIELDS.map(field => `${field} TEXT NOT NULL`).join(',\n    ')},
+    provenance TEXT NOT NULL,
+    evidence_status TEXT NOT NULL,
+    evidence_score REAL NOT NULL,
+    evidence_page INTEGER
+  )`,
+  `CREATE INDEX IF NOT EXISTS extracted_rules_by_version ON extracted_rules (version_id, position)`,
+  `CREATE TABLE IF NOT EXISTS run_results (
+    run_id TEXT NOT NULL REFERENCES sync_runs(id),
+    manufacturer_id TEXT NOT NULL REFERENCES manufacturers(id),
+    position INTEGER NOT NULL,
+    updated INTEGER NOT NULL,
+    skipped TEXT,
+    rules_count INTEGER,
+    error TEXT,
+    detail TEXT NOT NULL,
+    PRIMARY KEY (run_id, manufacturer_id)
+  )`,
+], [
+  'ALTER TABLE sync_runs ADD COLUMN failed INTEGER',
+], [
+  'ALTER TABLE sync_runs ADD COLUMN manufacturers TEXT',
+], [
+  'ALTER TABLE sync_runs ADD COLUMN trigger TEXT',
+  'ALTER TABLE sync_runs ADD COLUMN scheduled_for TEXT',
+  `CREATE TABLE IF NOT EXISTS sync_locks (
+    name TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    run_id TEXT,
+    expires_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS scheduler_state (
+    name TEXT PRIMARY KEY,
+    paused INTEGER NOT NULL DEFAULT 0,
+    covered_until TEXT
+  )`,
+], [
+  'ALTER TABLE manufacturers ADD COLUMN name TEXT',
+  "ALTER TABLE manufacturers ADD COLUMN aliases TEXT NOT NULL DEFAULT '[]'",
+  "ALTER TABLE manufacturers ADD COLUMN labeler_codes TEXT NOT NULL DEFAULT '[]'",
+  'ALTER TABLE manufacturers ADD COLUMN active INTEGER NOT NULL DEFAULT 1',
+  'ALTER TABLE manufacturers ADD COLUMN notes TEXT',
+  'ALTER TABLE manufacturers ADD COLUMN updated_at TEXT',
+  // Registered documents are the ones the registry lists; others only keep their history
+  'ALTER TABLE policy_documents ADD COLUMN registered INTEGER NOT NULL DEFAULT 0',
+  'ALTER TABLE policy_documents ADD COLUMN position INTEGER',
+  ...seedRegistryStatements(),
+], [
+  "ALTER TABLE policy_documents ADD COLUMN doc_type TEXT NOT NULL DEFAULT 'policy'",
+  'ALTER TABLE policy_documents ADD COLUMN title TEXT',
+], [
+  `CREATE TABLE IF NOT EXISTS discovery_reports (
+    id TEXT PRIMARY KEY,
+    checked_at TEXT NOT NULL,
+    source TEXT NOT NULL,
+    report TEXT NOT NULL
+  )`,
+], [
+  'ALTER TABLE document_versions ADD COLUMN extraction_method TEXT',
+], [
+  'ALTER TABLE extracted_rules ADD COLUMN source_page INTEGER',
+  'UPDATE extracted_rules SET source_page = evidence_page',
+], [
+  'ALTER TABLE sync_runs ADD COLUMN model TEXT',
+  'ALTER TABLE document_versions ADD COLUMN model TEXT',
+  'ALTER TABLE manufacturers ADD COLUMN model TEXT',
+], [
+  `CREATE TABLE IF NOT EXISTS evaluation_runs (
+    id TEXT PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    model TEXT NOT NULL,
+    report TEXT NOT NULL
+  )`,
+], [
+  'ALTER TABLE sync_runs ADD COLUMN prompt TEXT',
+  'ALTER TABLE document_versions ADD COLUMN prompt TEXT',
+], [
+  'ALTER TABLE sync_runs ADD COLUMN usage TEXT',
+  'ALTER TABLE sync_runs ADD COLUMN budget TEXT',
+  'ALTER TABLE sync_runs ADD COLUMN budget_skipped TEXT',
+], [
+  // Null for rules stored before; they are parsed from their text when read
+  'ALTER TABLE extracted_rules ADD COLUMN constraints TEXT',
+]];
+
+export type SyncRunStatus = 'running' | 'completed' | 'failed';
+
+/** What started a run; 'catch-up' is a scheduled run making up for slots missed while down. */
+export type SyncTrigger = 'manual' | 'agent' | 'api' | 'schedule' | 'catch-up';
+
+export const SYNC_TRIGGERS = ['manual', 'agent', 'api', 'schedule', 'catch-up'] as const;
+
+export interface SyncRunRecord {
+  id: string;
+  startedAt: string;
+  finishedAt?: string;
+  status: SyncRunStatus;
+  trigger: SyncTrigger;
+  /** Schedule slot the run was started for, for scheduled runs. */
+  scheduledFor?: string;
+  force: boolean;
+  /** Configured extraction model; manufacturers may override it, see each document version. */
+  model?: ModelSettings;
+  /** Extraction prompt as '<name>@<version>'. */
+  prompt?: string;
+  budget?: RunBudget;
+  /** LLM use of the whole run; per manufacturer, document and chunk in the run's results. */
+  usage?: LlmUsage;
+  /** Manufacturers with documents left unsynced because the budget ran out. */
+  budgetSkipped?: string[];
+  /** Manufacturer keys the run was limited to; unset when it covered all of them. */
+  manufacturers?: string[];
+  totalManufacturers?: number;
+  updated?: number;
+  unchanged?: number;
+  failed?: number;
+  error?: string;
+}
+
+export interface DocumentVersionRecord {
+  id: number;
+  manufacturerId: string;
+  url: string;
+  /** Type of the document this is a version of. */
+  documentType?: DocumentType;
+  runId: string;
+  archivedAt: string;
+  archivePath: string;
+  contentHash: string;
+  textHash?: string;
+  /** How the text the rules were extracted from was obtained. */
+  extractionMethod?: ExtractionMethod;
+  /** Model and settings the version's rules were extracted with. */
+  model?: ModelSettings;
+  prompt?: string;
+  etag?: string;
+  lastModified?: string;
+  status: 'ok' | 'failed';
+  rulesCount?: number;
+  changes?: Pick<RuleDiff, 'added' | 'removed' | 'modified' | 'unchanged'>;
+  error?: string;
+}
+
+export type NewDocumentVersion = Omit<DocumentVersionRecord, 'id'>;
+
+/** The parts of a per-manufacturer sync result that get their own columns. */
+export interface RunResultDetail {
+  id: string;
+  updated: boolean;
+  skipped?: string;
+  rulesCount?: number;
+  error?: string;
+}
+
+let clientPromise: Promise<Client> | undefined;
+
+function databaseUrl(): string {
+  return process.env.POLICY_SYNC_DB_URL ?? `file:${join(process.cwd(), 'output', 'policy-sync.db')}`;
+}
+
+async function openDatabase(): Promise<Client> {
+  const url = databaseUrl();
+  if (url.startsWith('file:')) {
+    await fs.mkdir(join(url.slice('file:'.length), '..'), { recursive: true });
+  }
+
+  const client = createClient({ url });
+  await client.execute('PRAGMA foreign_keys = ON');
+
+  const { rows } = await client.execute('PRAGMA user_version');
+  const version = Number(rows[0]?.user_version ?? 0);
+  for (let next = version; next < MIGRATIONS.length; next++) {
+    await client.batch([...MIGRATIONS[next], `PRAGMA user_version = ${next + 1}`], 'write');
+  }
+  return client;
+}
+
+/** Shared connection to the policy sync database, created and migrated on first use. */
+export function getPolicyDb(): Promise<Client> {
+  clientPromise ??= openDatabase().catch(error => {
+    clientPromise = undefined;
+    throw error;
+  });
+  return clientPromise;
+}
+
+/**
+ * Runs `work` in a write transaction, committed when it returns and rolled
+ * back when it throws. For writes that depend on what an earlier statement
+ * did; a batch is enough otherwise.
+ */
+export async function inWriteTransaction<T>(work: (tx: Transaction) => Promise<T>): Promise<T> {
+  const db = await getPolicyDb();
+  const tx = await db.transaction('write');
+  // The transaction takes over the client's connection, and the one opened next needs the pragma too
+  await db.execute('PRAGMA foreign_keys = ON');
+  try {
+    const result = await work(tx);
+    await tx.commit();
+    return result;
+  } finally {
+    tx.close();
+  }
+}
+
+function text(row: Row, column: string): string | undefined {
+  const value = row[column];
+  return value === null || value === undefined ? undefined : String(value);
+}
+
+function int(row: Row, column: string): number | undefined {
+  const value = row[column];
+  return value === null || value === undefined ? undefined : Number(value);
+}
+
+function toRunRecord(row: Row): SyncRunRecord {
+  const manufacturers = text(row, 'manufacturers');
+  const model = text(row, 'model');
+  const budget = text(row, 'budget');
+  const usage = text(row, 'usage');
+  const budgetSkipped = text(row, 'budget_skipped');
+  return {
+    id: String(row.id),
+    startedAt: String(row.started_at),
+    finishedAt: text(row, 'finished_at'),
+    status: String(row.status) as SyncRunStatus,
+    trigger: (text(row, 'trigger') ?? 'manual') as SyncTrigger,
+    scheduledFor: text(row, 'scheduled_for'),
+    force: Number(row.force) === 1,
+    model: model ? JSON.parse(model) : undefined,
+    prompt: text(row, 'prompt'),
+    budget: budget ? JSON.parse(budget) : undefined,
+    usage: usage ? JSON.parse(usage) : undefined,
+    budgetSkipped: budgetSkipped ? JSON.parse(budgetSkipped) : undefined,
+    manufacturers: manufacturers ? JSON.parse(manufacturers) : undefined,
+    totalManufacturers: int(row, 'total_manufacturers'),
+    updated: int(row, 'updated'),
+    unchanged: int(row, 'unchanged'),
+    failed: int(row, 'failed'),
+    error: text(row, 'error'),
+  };
+}
+
+function toVersionRecord(row: Row): DocumentVersionRecord {
+  const changes = text(row, 'changes');
+  const model = text(row, 'model');
+  return {
+    id: Number(row.id),
+    manufacturerId: String(row.manufacturer_id),
+    url: String(row.url),
+    documentType: text(row, 'doc_type') as DocumentType | undefined,
+    runId: String(row.run_id),
+    archivedAt: String(row.archived_at),
+    archivePath: String(row.archive_path),
+    contentHash: String(row.content_hash),
+    textHash: text(row, 'text_hash'),
+    extractionMethod: text(row, 'extraction_method') as ExtractionMethod | undefined,
+    model: model ? JSON.parse(model) : undefined,
+    prompt: text(row, 'prompt'),
+    etag: text(row, 'etag'),
+    lastModified: text(row, 'last_modified'),
+    status: String(row.status) as 'ok' | 'failed',
+    rulesCount: int(row, 'rules_count'),
+    changes: changes ? JSON.parse(changes) : undefined,
+    error: text(row, 'error'),
+  };
+}
+
+function toRule(row: Row): VerifiedRule {
+  const rule = Object.fromEntries(RULE_FIELDS.map(field => [field, String(row[field])])) as Record<(typeof RULE_FIELDS)[number], string>;
+  const constraints = text(row, 'constraints');
+  return {
+    ...rule,
+    provenance: JSON.parse(String(row.provenance)),
+    evidence: {
+      status: String(row.evidence_status) as VerifiedRule['evidence']['status'],
+      score: Number(row.evidence_score),
+      page: int(row, 'evidence_page') ?? null,
+    },
+    source_page: int(row, 'source_page') ?? null,
+    constraints: constraints ? JSON.parse(constraints) : parseRuleConstraints(rule),
+  };
+}
+
+function ensureDocumentStatements(manufacturerId: string, url: string): InStatement[] {
+  return [
+    {
+      sql: 'INSERT OR IGNORE INTO manufacturers (id, created_at) VALUES (?, ?)',
+      args: [manufacturerId, new Date().toISOString()],
+    },
+    {
+      sql: 'INSERT OR IGNORE INTO policy_documents (manufacturer_id, url) VALUES (?, ?)',
+      args: [manufacturerId, url],
+    },
+  ];
+}
+
+function sourceStateArgs(state: SourceState): InValue[] {
+  return [state.etag ?? null, state.lastModified ?? null, state.contentHash, state.textHash || null, state.processedAt];
+}
+
+const UPDATE_SOURCE_STATE_SQL = `UPDATE policy_documents
+  SET etag = ?, last_modified = ?, content_hash = ?, text_hash = ?, processed_at = ?
+  WHERE manufacturer_id = ? AND url = ?`;
+
+export async function getSourceState(manufacturerId: string, url: string): Promise<SourceState | undefined> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: `SELECT url, etag, last_modified, content_hash, text_hash, processed_at
+          FROM policy_documents WHERE manufacturer_id = ? AND url = ? AND content_hash IS NOT NULL`,
+    args: [manufacturerId, url],
+  });
+  const row = result.rows[0];
+  if (!row) return undefined;
+
+  return {
+    url: String(row.url),
+    etag: text(row, 'etag'),
+    lastModified: text(row, 'last_modified'),
+    contentHash: String(row.content_hash),
+    textHash: text(row, 'text_hash') ?? '',
+    processedAt: String(row.processed_at),
+  };
+}
+
+export async function saveSourceState(manufacturerId: string, state: SourceState): Promise<void> {
+  const db = await getPolicyDb();
+  await db.batch([
+    ...ensureDocumentStatements(manufacturerId, state.url),
+    { sql: UPDATE_SOURCE_STATE_SQL, args: [...sourceStateArgs(state), manufacturerId, state.url] },
+  ], 'write');
+}
+
+/**
+ * Records a new run as running. With a lease, the lock notes the run in the
+ * same write, so no other process sees the run unprotected by the lock and
+ * fails it as interrupted.
+ */
+export async function startSyncRun(
+  run: Pick<SyncRunRecord, 'id' | 'startedAt' | 'trigger' | 'scheduledFor' | 'force' | 'model' | 'prompt' | 'budget' | 'manufacturers' | 'totalManufacturers'>,
+  lease?: SyncLease,
+): Promise<void> {
+  const db = await getPolicyDb();
+  await db.batch([{
+    sql: `INSERT INTO sync_runs
+            (id, started_at, status, trigger, scheduled_for, force, model, prompt, budget, manufacturers, total_manufacturers)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      run.id,
+      run.startedAt,
+      'running',
+      run.trigger,
+      run.scheduledFor ?? null,
+      run.force ? 1 : 0,
+      run.model ? JSON.stringify(run.model) : null,
+      run.prompt ?? null,
+      run.budget ? JSON.stringify(run.budget) : null,
+      run.manufacturers ? JSON.stringify(run.manufacturers) : null,
+      run.totalManufacturers ?? null,
+    ],
+  }, ...(lease ? [{
+    sql: 'UPDATE sync_locks SET run_id = ?, expires_at = ? WHERE name = ? AND owner = ?',
+    args: [run.id, new Date(Date.now() + lease.ttlMs).toISOString(), lease.name, lease.owner],
+  }] : [])], 'write');
+}
+
+export async function finishSyncRun(
+  id: string,
+  outcome: Pick<
+    SyncRunRecord,
+    'status' | 'totalManufacturers' | 'updated' | 'unchanged' | 'failed' | 'usage' | 'budgetSkipped' | 'error'
+  >,
+): Promise<void> {
+  const db = await getPolicyDb();
+  await db.execute({
+    sql: `UPDATE sync_runs
+          SET finished_at = ?, status = ?, total_manufacturers = ?, updated = ?, unchanged = ?, failed = ?, usage = ?,
+              budget_skipped = ?, error = ?
+          WHERE id = ?`,
+    args: [
+      new Date().toISOString(),
+      outcome.status,
+      outcome.totalManufacturers ?? null,
+      outcome.updated ?? null,
+      outcome.unchanged ?? null,
+      outcome.failed ?? null,
+      outcome.usage ? JSON.stringify(outcome.usage) : null,
+      outcome.budgetSkipped ? JSON.stringify(outcome.budgetSkipped) : null,
+      outcome.error ?? null,
+      id,
+    ],
+  });
+}
+
+/**
+ * Marks runs still recorded as running as failed, unless a live sync lock
+ * shows they're in progress. Call on startup, before this process starts any.
+ */
+export async function failInterruptedRuns(error = 'Interrupted before completion'): Promise<number> {
+  const db = await getPolicyDb();
+  const now = new Date().toISOString();
+  const result = await db.execute({
+    sql: `UPDATE sync_runs SET finished_at = ?, status = 'failed', error = ?
+          WHERE status = 'running'
+            AND id NOT IN (SELECT run_id FROM sync_locks WHERE run_id IS NOT NULL AND expires_at > ?)`,
+    args: [now, error, now],
+  });
+  return result.rowsAffected;
+}
+
+export async function getSyncRun(id: string): Promise<SyncRunRecord | null> {
+  const db = await getPolicyDb();
+  const result = await db.execute({ sql: 'SELECT * FROM sync_runs WHERE id = ?', args: [id] });
+  return result.rows[0] ? toRunRecord(result.rows[0]) : null;
+}
+
+/** Most recent runs first, optionally only those started by the given triggers. */
+export async function listSyncRuns(limit = 20, triggers?: SyncTrigger[]): Promise<SyncRunRecord[]> {
+  const db = await getPolicyDb();
+  const filter = triggers?.length ? `WHERE COALESCE(trigger, 'manual') IN (${triggers.map(() => '?').join(', ')})` : '';
+  const result = await db.execute({
+    sql: `SELECT * FROM sync_runs ${filter} ORDER BY started_at DESC LIMIT ?`,
+    args: [...(triggers ?? []), limit],
+  });
+  return result.rows.map(toRunRecord);
+}
+
+export async function recordRunResult(runId: string, position: number, detail: RunResultDetail): Promise<void> {
+  const db = await getPolicyDb();
+  await db.batch([{
+    sql: 'INSERT OR IGNORE INTO manufacturers (id, created_at) VALUES (?, ?)',
+    args: [detail.id, new Date().toISOString()],
+  }, {
+    sql: `INSERT OR REPLACE INTO run_results
+          (run_id, manufacturer_id, position, updated, skipped, rules_count, error, detail)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      runId,
+      detail.id,
+      position,
+      detail.updated ? 1 : 0,
+      detail.skipped ?? null,
+      detail.rulesCount ?? null,
+      detail.error ?? null,
+      JSON.stringify(detail),
+    ],
+  }], 'write');
+}
+
+/** Per-manufacturer results of a run, in the order they were reported. */
+export async function getRunResults<T extends RunResultDetail = RunResultDetail>(runId: string): Promise<T[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: 'SELECT detail FROM run_results WHERE run_id = ? ORDER BY position',
+    args: [runId],
+  });
+  return result.rows.map(row => JSON.parse(String(row.detail)) as T);
+}
+
+/**
+ * Records a processed document version and its rules atomically. With
+ * `makeCurrent` the version's rules become the document's current rule set;
+ * `source` is stored as the document's last processed state.
+ *
+ * Runs as a single batch: local batches execute without yielding, so
+ * manufacturers synced concurrently can't interleave their writes.
+ */
+export async function recordDocumentVersion(
+  version: NewDocumentVersion,
+  options: { rules?: VerifiedRule[]; makeCurrent?: boolean; source?: SourceState } = {},
+): Promise<number> {
+  const db = await getPolicyDb();
+  const documentId = '(SELECT id FROM policy_documents WHERE manufacturer_id = ? AND url = ?)';
+  const documentArgs = [version.manufacturerId, version.url];
+  const versionId = '(SELECT MAX(id) FROM document_versions)';
+
+  const statements: InStatement[] = [
+    ...ensureDocumentStatements(version.manufacturerId, version.url),
+    {
+      sql: `INSERT INTO document_versions
+            (document_id, run_id, archived_at, archive_path, content_hash, text_hash, extraction_method, model, prompt,
+             etag, last_modified, status, rules_count, changes, error)
+            VALUES (${documentId}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        ...documentArgs,
+        version.runId,
+        version.archivedAt,
+        version.archivePath,
+        version.contentHash,
+        version.textHash ?? null,
+        version.extractionMethod ?? null,
+        version.model ? JSON.stringify(version.model) : null,
+        version.prompt ?? null,
+        version.etag ?? null,
+        version.lastModified ?? null,
+        version.status,
+        version.rulesCount ?? null,
+        version.changes ? JSON.stringify(version.changes) : null,
+        version.error ?? null,
+      ],
+    },
+    ...(options.rules ?? []).map((rule, position) => ({
+      sql: `INSERT INTO extracted_rules
+            (version_id, position, ${RULE_FIELDS.join(', ')}, provenance, evidence_status, evidence_score, evidence_page,
+             source_page, constraints)
+            VALUES (${versionId}, ?, ${RULE_FIELDS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        position,
+        ...RULE_FIELDS.map(field => rule[field]),
+        JSON.stringify(rule.provenance),
+        rule.evidence.status,
+        rule.evidence.score,
+        rule.evidence.page,
+        rule.source_page,
+        JSON.stringify(rule.constraints),
+      ],
+    })),
+  ];
+
+  if (options.makeCurrent) {
+    statements.push({
+      sql: `UPDATE policy_documents SET current_version_id = ${versionId} WHERE manufacturer_id = ? AND url = ?`,
+      args: documentArgs,
+    });
+  }
+  if (options.source) {
+    statements.push({
+      sql: UPDATE_SOURCE_STATE_SQL,
+      args: [...sourceStateArgs(options.source), ...documentArgs],
+    });
+  }
+
+  const results = await db.batch(statements, 'write');
+  return Number(results[2].lastInsertRowid);
+}
+
+/** The document's current rule set, or null if no version has been adopted yet. */
+export async function getCurrentRules(manufacturerId: string, url: string): Promise<VerifiedRule[] | null> {
+  const db = await getPolicyDb();
+  const document = await db.execute({
+    sql: 'SELECT current_version_id FROM policy_documents WHERE manufacturer_id = ? AND url = ?',
+    args: [manufacturerId, url],
+  });
+  const versionId = document.rows[0]?.current_version_id;
+  if (versionId === null || versionId === undefined) return null;
+  return getVersionRules(Number(versionId));
+}
+
+export async function getVersionRules(versionId: number): Promise<VerifiedRule[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: 'SELECT * FROM extracted_rules WHERE version_id = ? ORDER BY position',
+    args: [versionId],
+  });
+  return result.rows.map(toRule);
+}
+
+const VERSION_COLUMNS = `v.*, d.manufacturer_id, d.url, d.doc_type
+  FROM document_versions v JOIN policy_documents d ON d.id = v.document_id`;
+
+/** All recorded versions of a manufacturer's documents, oldest first. */
+export async function listDocumentVersions(manufacturerId: string): Promise<DocumentVersionRecord[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: `SELECT ${VERSION_COLUMNS} WHERE d.manufacturer_id = ? ORDER BY v.archived_at`,
+    args: [manufacturerId],
+  });
+  return result.rows.map(toVersionRecord);
+}
+
+/**
+ * The versions in force on `date`, one per document: the latest successfully
+ * processed version of each recorded at or before that moment.
+ */
+export async function getVersionsInForce(manufacturerId: string, date: Date): Promise<DocumentVersionRecord[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: `SELECT ${VERSION_COLUMNS}
+          WHERE d.manufacturer_id = ? AND v.status = 'ok' AND v.id = (
+            SELECT latest.id FROM document_versions latest
+            WHERE latest.document_id = d.id AND latest.status = 'ok' AND latest.archived_at <= ?
+            ORDER BY latest.archived_at DESC, latest.id DESC LIMIT 1
+          )
+          ORDER BY COALESCE(d.position, 1e9), d.id`,
+    args: [manufacturerId, date.toISOString()],
+  });
+  return result.rows.map(toVersionRecord);
+}
+
+/** Current rule sets of the manufacturer's registered documents, in registry order. */
+export async function getCurrentDocumentRules(manufacturerId: string): Promise<DocumentRules[]> {
+  const db = await getPolicyDb();
+  const documents = await db.execute({
+    sql: `SELECT url, doc_type, title, current_version_id FROM policy_documents
+          WHERE manufacturer_id = ? AND registered = 1 AND current_version_id IS NOT NULL
+          ORDER BY position, id`,
+    args: [manufacturerId],
+  });
+
+  return Promise.all(documents.rows.map(async row => ({
+    document: { url: String(row.url), type: String(row.doc_type) as DocumentType, title: text(row, 'title') },
+    rules: await getVersionRules(Number(row.current_version_id)),
+  })));
+}
+
+/** A sync lock held by `owner` until `ttlMs` after it was last renewed. */
+export interface SyncLease {
+  name: string;
+  owner: string;
+  ttlMs: number;
+}
+
+export interface SyncLockHolder {
+  owner: string;
+  runId?: string;
+  expiresAt: string;
+}
+
+/**
+ * Takes the named lock for `ttlMs` unless someone else holds an unexpired
+ * lease on it. Returns null when acquired, otherwise the current holder.
+ */
+export async function acquireSyncLock(name: string, owner: string, ttlMs: number): Promise<SyncLockHolder | null> {
+  const db = await getPolicyDb();
+  const now = new Date();
+  const result = await db.execute({
+    sql: `INSERT INTO sync_locks (name, owner, run_id, expires_at) VALUES (?, ?, NULL, ?)
+          ON CONFLICT (name) DO UPDATE SET owner = excluded.owner, run_id = NULL, expires_at = excluded.expires_at
+          WHERE sync_locks.expires_at <= ?`,
+    args: [name, owner, new Date(now.getTime() + ttlMs).toISOString(), now.toISOString()],
+  });
+  if (result.rowsAffected > 0) return null;
+
+  const holder = await db.execute({ sql: 'SELECT owner, run_id, expires_at FROM sync_locks WHERE name = ?', args: [name] });
+  const row = holder.rows[0];
+  // Released in the meantime, so try again
+  if (!row) return acquireSyncLock(name, owner, ttlMs);
+  return { owner: String(row.owner), runId: text(row, 'run_id'), expiresAt: String(row.expires_at) };
+}
+
+/** Extends a held lease. Returns false if the lease was lost. */
+export async function renewSyncLock(lease: SyncLease): Promise<boolean> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: 'UPDATE sync_locks SET expires_at = ? WHERE name = ? AND owner = ?',
+    args: [new Date(Date.now() + lease.ttlMs).toISOString(), lease.name, lease.owner],
+  });
+  return result.rowsAffected > 0;
+}
+
+export async function releaseSyncLock(name: string, owner: string): Promise<void> {
+  const db = await getPolicyDb();
+  await db.execute({ sql: 'DELETE FROM sync_locks WHERE name = ? AND owner = ?', args: [name, owner] });
+}
+
+export interface SchedulerState {
+  paused: boolean;
+  /** Every schedule slot up to this time has been run or deliberately skipped. */
+  coveredUntil?: string;
+}
+
+export async function getSchedulerState(name: string): Promise<SchedulerState> {
+  const db = await getPolicyDb();
+  const result = await db.execute({ sql: 'SELECT paused, covered_until FROM scheduler_state WHERE name = ?', args: [name] });
+  const row = result.rows[0];
+  return row
+    ? { paused: Number(row.paused) === 1, coveredUntil: text(row, 'covered_until') }
+    : { paused: false };
+}
+
+export async function saveSchedulerState(name: string, state: SchedulerState): Promise<void> {
+  const db = await getPolicyDb();
+  await db.execute({
+    sql: `INSERT INTO scheduler_state (name, paused, covered_until) VALUES (?, ?, ?)
+          ON CONFLICT (name) DO UPDATE SET paused = excluded.paused, covered_until = excluded.covered_until`,
+    args: [name, state.paused ? 1 : 0, state.coveredUntil ?? null],
+  });
+}
+
+export async function saveDiscoveryReport(report: DiscoveryReport): Promise<void> {
+  const db = await getPolicyDb();
+  await db.execute({
+    sql: 'INSERT INTO discovery_reports (id, checked_at, source, report) VALUES (?, ?, ?, ?)',
+    args: [report.id, report.checkedAt, report.source, JSON.stringify(report)],
+  });
+}
+
+/** Most recent discovery reports first. */
+export async function listDiscoveryReports(limit = 20): Promise<DiscoveryReport[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: 'SELECT report FROM discovery_reports ORDER BY checked_at DESC LIMIT ?',
+    args: [limit],
+  });
+  return result.rows.map(row => JSON.parse(String(row.report)));
+}
+
+export async function getDiscoveryReport(id: string): Promise<DiscoveryReport | null> {
+  const db = await getPolicyDb();
+  const result = await db.execute({ sql: 'SELECT report FROM discovery_reports WHERE id = ?', args: [id] });
+  return result.rows[0] ? JSON.parse(String(result.rows[0].report)) : null;
+}
+
+export async function saveEvaluationReport(report: EvaluationReport): Promise<void> {
+  const db = await getPolicyDb();
+  await db.execute({
+    sql: 'INSERT INTO evaluation_runs (id, started_at, model, report) VALUES (?, ?, ?, ?)',
+    args: [report.id, report.startedAt, JSON.stringify(report.model), JSON.stringify(report)],
+  });
+}
+
+/** Most recent evaluations first, to compare extraction quality over time. */
+export async function listEvaluationReports(limit = 20): Promise<EvaluationReport[]> {
+  const db = await getPolicyDb();
+  const result = await db.execute({
+    sql: 'SELECT report FROM evaluation_runs ORDER BY started_at DESC LIMIT ?',
+    args: [limit],
+  });
+  return result.rows.map(row => JSON.parse(String(row.report)));
+}
@@ -0,0 +1,1095 @@
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+import { generateObject, NoObjectGeneratedError, type LanguageModelUsage } from 'ai';
+import {
+  extractionResponseSchema,
+  rejectedRuleSchema,
+  validateRules,
+  type ExtractedRule,
+  type RejectedRule,
+} from './rules';
+import {
+  chunkPolicyText,
+  mergeChunkRules,
+  type ChunkRules,
+  type PolicyChunk,
+  type PolicyPage,
+} from './chunking';
+import {
+  countEvidence,
+  evidenceCountsSchema,
+  evidenceForReview,
+  evidenceReviewSchema,
+  indexPolicyText,
+  sourcePage,
+  verifyEvidence,
+  type EvidenceCounts,
+  type EvidenceReview,
+  type VerifiedRule,
+} from './evidence';
+import { diffRules, hasRuleChanges, ruleDiffSchema, type RuleDiff } from './diff';
+import { conditionalHeaders, hashContent, type SourceMatch, type SourceState } from './source-state';
+import { archivePolicyFiles } from './archive';
+import {
+  finishSyncRun,
+  getCurrentRules,
+  getSourceState,
+  recordDocumentVersion,
+  recordRunResult,
+  saveSourceState,
+  startSyncRun,
+  type SyncLease,
+  type SyncTrigger,
+} from './store';
+import { exportLastRunStatus, exportRulesCSV, getManufacturerRules } from './exports';
+import { loadSyncConfig, type SyncConfig } from './config';
+import {
+  createHostThrottle,
+  createLimiter,
+  createTokenRateLimiter,
+  estimateTokens,
+  type HostThrottle,
+  type Limiter,
+  type TokenRateLimiter,
+} from './concurrency';
+import {
+  BudgetExhaustedError,
+  classifyError,
+  isRetryableStatus,
+  parseRetryAfter,
+  PolicySyncError,
+  SYNC_STAGES,
+  type SyncStage,
+} from './errors';
+import { withRetry, type RetryOptions } from './retry';
+import { assessText, EXTRACTION_METHODS, ocrPages, type TextExtraction } from './ocr';
+import { cleanPolicyPages } from './page-text';
+import { layoutPage, type PageLayout } from './layout';
+import { findManufacturer, listManufacturers, type Manufacturer } from './registry';
+import { fixtureModel, replaySettings, type LlmFixtureOptions } from './llm-fixtures';
+import { applyModelOverride, describeModel, modelSettingsSchema, resolveModel, type ModelSettings, type ResolvedModel } from './models';
+import { getPrompt, promptId, renderPrompt, type PromptTemplate } from './prompts';
+import {
+  addUsage,
+  callUsage,
+  emptyUsage,
+  isBudgetExhausted,
+  llmUsageSchema,
+  modelPrice,
+  runBudgetSchema,
+  sumUsage,
+  type LlmUsage,
+  type ModelPrice,
+  type RunBudget,
+} from './usage';
+import { parseRuleConstraints } from './constraints';
+import { normalizeVocabulary, unmappedValueSchema, type UnmappedValue } from './vocabulary';
+import { DOCUMENT_LABELS, DOCUMENT_TYPES, type DocumentType, type PolicyDocumentRef } from './documents';
+import {
+  publishProgress,
+  type ManufacturerProgressEvent,
+  type ProgressListener,
+  type ProgressStage,
+  type SyncProgressEvent,
+} from './progress';
+
+/** Outcome of syncing one of a manufacturer's documents. */
+export interface DocumentDetail {
+  url: string;
+  type: DocumentType;
+  title?: string;
+  /** Whether the document's current rule set changed. */
+  updated: boolean;
+  textExtraction?: TextExtraction;
+  /** Model and settings the rules were extracted with. */
+  model?: ModelSettings;
+  /** Prompt the rules were extracted with, as '<name>@<version>'. */
+  prompt?: string;
+  rulesCount?: number;
+  rejectedRules?: RejectedRule[];
+  chunks?: ChunkSummary;
+  /** LLM calls made for the document's chunks. */
+  usage?: LlmUsage;
+  evidence?: EvidenceCounts;
+  /** Rules kept with weakly matching evidence, to check against the document. */
+  evidenceReview?: EvidenceReview[];
+  /** entity_type, scope_area and requirement_type values kept as extracted because no vocabulary term matched. */
+  unmappedValues?: UnmappedValue[];
+  diff?: RuleDiff;
+  /** 'budget-exhausted' leaves the document to the next run, as if it hadn't been downloaded. */
+  skipped?: 'source-unchanged' | 'budget-exhausted';
+  sourceMatch?: SourceMatch;
+  error?: string;
+  errorStage?: SyncStage;
+}
+
+export interface ManufacturerDetail {
+  id: string;
+  /** Whether the merged rule set changed, i.e. some document's rules did. */
+  updated: boolean;
+  name?: string;
+  /** Rules in the merged rule set after this run. */
+  rulesCount?: number;
+  documents: DocumentDetail[];
+  usage?: LlmUsage;
+  /** Set when every document was unchanged, or skipped with some for the run's budget. */
+  skipped?: 'source-unchanged' | 'budget-exhausted';
+  /** Set when any document failed; the others are still applied. */
+  error?: string;
+  errorStage?: SyncStage;
+}
+
+interface FailedChunk {
+  index: number;
+  pageStart: number;
+  pageEnd: number;
+  error: string;
+}
+
+interface ChunkUsage extends LlmUsage {
+  index: number;
+}
+
+interface ChunkSummary {
+  total: number;
+  processed: number;
+  failed: FailedChunk[];
+  /** LLM use of each chunk that got a response. */
+  usage?: ChunkUsage[];
+}
+
+/** How the run fared against its budget. */
+export interface BudgetOutcome {
+  limit: RunBudget;
+  exhausted: boolean;
+  /** Manufacturers with documents left unsynced because the budget ran out. */
+  skippedManufacturers: string[];
+}
+
+export interface SyncResult {
+  runId: string;
+  totalManufacturers: number;
+  updated: number;
+  unchanged: number;
+  failed: number;
+  /** Manufacturers whose documents all went unsynced for the budget; not counted as unchanged. */
+  overBudget: number;
+  details: ManufacturerDetail[];
+  usage: LlmUsage;
+  /** Set when the run had a budget. */
+  budget?: BudgetOutcome;
+}
+
+// Output tokens reserved per extraction call before the real usage is known.
+const EXPECTED_OUTPUT_TOKENS = 4000;
+
+interface Throttles {
+  downloads: Limiter;
+  hosts: HostThrottle;
+  llm: Limiter;
+  tokens: TokenRateLimiter;
+  ocr: Limiter;
+}
+
+/** A model ready to call, with the settings it was created from. */
+interface ExtractionModel {
+  settings: ModelSettings;
+  instance: ResolvedModel;
+}
+
+interface RunContext {
+  runId: string;
+  runStartedAt: string;
+  outputDir: string;
+  force: boolean;
+  /** Configured extraction model, before manufacturer overrides. */
+  model: ModelSettings;
+  prompt: PromptTemplate;
+  llmFixtures?: LlmFixtureOptions;
+  prices: Record<string, ModelPrice>;
+  budget?: RunBudget;
+  /** LLM use of the run so far, checked against the budget before each call. */
+  usage: LlmUsage;
+  throttles: Throttles;
+  retry: RetryOptions;
+  onProgress?: ProgressListener;
+}
+
+function report(run: RunContext, event: SyncProgressEvent): void {
+  publishProgress(event);
+  try {
+    run.onProgress?.(event);
+  } catch (error) {
+    // A broken progress consumer must not fail the sync
+    console.error('Policy sync progress listener failed:', error);
+  }
+}
+
+function reportStage(
+  run: RunContext,
+  manufacturer: string,
+  stage: ProgressStage,
+  extra: Pick<ManufacturerProgressEvent, 'document' | 'chunks' | 'error' | 'errorStage'> = {},
+): void {
+  report(run, { type: 'manufacturer', runId: run.runId, manufacturer, stage, at: new Date().toISOString(), ...extra });
+}
+
+function createRunContext(
+  config: SyncConfig,
+  outputDir: string,
+  force: boolean,
+  options: Pick<SyncOptions, 'onProgress' | 'budget'> = {},
+): RunContext {
+  return {
+    runId: randomUUID(),
+    runStartedAt: new Date().toISOString(),
+    outputDir,
+    force,
+    model: config.model,
+    prompt: getPrompt(config.prompt),
+    llmFixtures: config.llmFixtures,
+    prices: config.modelPrices,
+    budget: options.budget ?? config.runBudget,
+    usage: emptyUsage(),
+    throttles: createThrottles(config),
+    retry: { retries: config.maxRetries, baseDelayMs: config.retryBaseDelayMs, maxDelayMs: config.retryMaxDelayMs },
+    onProgress: options.onProgress,
+  };
+}
+
+function createThrottles(config: SyncConfig): Throttles {
+  return {
+    downloads: createLimiter(config.downloadConcurrency),
+    hosts: createHostThrottle({ concurrency: config.hostConcurrency, minIntervalMs: config.hostIntervalMs }),
+    llm: createLimiter(config.llmConcurrency),
+    tokens: createTokenRateLimiter(config.llmTokensPerMinute),
+    ocr: createLimiter(config.ocrConcurrency),
+  };
+}
+
+type DownloadResult =
+  | { notModified: true }
+  | { notModified: false; buffer: Buffer; etag?: string; lastModified?: string };
+
+async function downloadPDF(
+  url: string,
+  run: RunContext,
+  previous: SourceState | undefined,
+  onStart: () => void,
+): Promise<DownloadResult> {
+  const { throttles } = run;
+  // Retries happen outside the throttles so a request backing off doesn't hold a slot
+  return withRetry(() => throttles.downloads(() => throttles.hosts(url, async (): Promise<DownloadResult> => {
+    onStart();
+    try {
+      const response = await fetch(url, { headers: conditionalHeaders(url, previous) });
+      if (response.status === 304) {
+        return { notModified: true };
+      }
+      if (!response.ok) {
+        throw new PolicySyncError('download', `Failed to download PDF from ${url}: ${response.status} ${response.statusText}`, {
+          retryable: isRetryableStatus(response.status),
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+      return {
+        notModified: false,
+        buffer: Buffer.from(await response.arrayBuffer()),
+        etag: response.headers.get('etag') ?? undefined,
+        lastModified: response.headers.get('last-modified') ?? undefined,
+      };
+    } catch (error) {
+      throw classifyError('download', error);
+    }
+  })), run.retry);
+}
+
+// Lays out each page separately, rebuilding tables pdf-parse's renderer would flatten.
+async function renderPage(pageData: any): Promise<PageLayout> {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  return layoutPage(textContent.items);
+}
+
+async function extractTextFromPDF(pdfBuffer: Buffer): Promise<PolicyPage[]> {
+  // Dynamic import for pdf-parse to handle CommonJS in ESM context. The package
+  // entry point runs a self-test when it isn't require()d, so skip past it.
+  const pdfParseModule = await import('pdf-parse/lib/pdf-parse.js');
+  const pdfParse = (pdfParseModule as any).default ?? pdfParseModule;
+
+  // pdf.js reads the whole ArrayBuffer behind the data, and small Buffers are
+  // slices of Node's shared pool, so hand it a copy that owns its memory
+  const pages: PolicyPage[] = [];
+  await pdfParse(new Uint8Array(pdfBuffer), {
+    pagerender: async (pageData: any) => {
+      const { text, tables } = await renderPage(pageData);
+      pages.push({ pageNumber: pageData.pageIndex + 1, text, ...(tables.length > 0 ? { tables } : {}) });
+      return text;
+    },
+  });
+  return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+const nonSpaceLength = (text: string) => text.replace(/\s+/g, '').length;
+
+/**
+ * Extracts the document's text page by page, OCRing pages whose text layer is
+ * missing or garbled, as on scanned letters, then cleans it up. Throws when
+ * neither yields usable text, rather than leaving the LLM to find rules in nothing.
+ */
+async function extractPolicyText(
+  pdf: Buffer,
+  manufacturerId: string,
+  detail: DocumentDetail,
+  run: RunContext,
+): Promise<PolicyPage[]> {
+  const textLayer = await extractTextFromPDF(pdf);
+  const quality = new Map(textLayer.map(page => [page.pageNumber, assessText(page.text)]));
+  const unusable = textLayer.filter(page => quality.get(page.pageNumber) !== 'usable').map(page => page.pageNumber);
+
+  let ocrTexts = new Map<number, string>();
+  if (unusable.length > 0) {
+    reportStage(run, manufacturerId, 'running-ocr', { document: detail.url });
+    ocrTexts = await run.throttles.ocr(() => ocrPages(pdf, unusable));
+  }
+
+  const ocrUsed: number[] = [];
+  const unreadable: number[] = [];
+  const extracted = textLayer.map(page => {
+    const own = quality.get(page.pageNumber);
+    if (own === 'usable') return page;
+
+    const ocrText = ocrTexts.get(page.pageNumber);
+    const ownLength = own === 'garbled' ? 0 : nonSpaceLength(page.text);
+    if (ocrText !== undefined && assessText(ocrText) !== 'garbled' && nonSpaceLength(ocrText) > ownLength) {
+      ocrUsed.push(page.pageNumber);
+      return { pageNumber: page.pageNumber, text: ocrText };
+    }
+    // Short pages are just short, but garbled text and images we couldn't read are gaps
+    const text = own === 'garbled' ? '' : page.text;
+    if (nonSpaceLength(text) === 0 && (own === 'garbled' || ocrText !== undefined)) {
+      unreadable.push(page.pageNumber);
+    }
+    return own === 'garbled' ? { pageNumber: page.pageNumber, text } : page;
+  });
+
+  const pages = cleanPolicyPages(extracted);
+  const ownText = pages.some(page => !ocrUsed.includes(page.pageNumber) && nonSpaceLength(page.text) > 0);
+  const tables = pages.reduce((count, page) => count + (page.tables?.length ?? 0), 0);
+  detail.textExtraction = {
+    method: ocrUsed.length === 0 ? 'text' : ownText ? 'mixed' : 'ocr',
+    ...(ocrUsed.length > 0 ? { ocrPages: ocrUsed } : {}),
+    ...(unreadable.length > 0 ? { unreadablePages: unreadable } : {}),
+    ...(tables > 0 ? { tables } : {}),
+  };
+
+  if (assessText(pages.map(page => page.text).join('\n')) !== 'usable') {
+    throw new PolicySyncError('parse', ocrTexts.size > 0
+      ? `No usable text in PDF: the text layer is unusable and OCR of ${ocrTexts.size} page(s) found no readable text`
+      : 'No usable text in PDF: the text layer is unusable and there are no page images to OCR');
+  }
+  return pages;
+}
+
+/**
+ * Extracts a chunk's rules, retrying transient failures. Every attempt's
+ * tokens are added to `usage` and to the run's, failed attempts included when
+ * the provider reported them, so retries count against the budget.
+ */
+async function callLLM(
+  chunk: PolicyChunk,
+  totalChunks: number,
+  documentType: DocumentType,
+  model: ExtractionModel,
+  run: RunContext,
+  usage: LlmUsage,
+): Promise<ExtractedRule[]> {
+  const { throttles, prompt: template } = run;
+  const part = totalChunks > 1
+    ? ` (part ${chunk.index + 1} of ${totalChunks}, pages ${chunk.pageStart}-${chunk.pageEnd})`
+    : '';
+  const prompt = renderPrompt(template.user, { source: DOCUMENT_LABELS[documentType], part, text: chunk.text });
+
+  return withRetry(() => throttles.llm(async () => {
+    // Checked once the call's turn comes, as calls queued earlier may have used the budget up
+    if (isBudgetExhausted(run.usage, run.budget)) throw new BudgetExhaustedError();
+    const expectedOutput = Math.min(EXPECTED_OUTPUT_TOKENS, model.settings.maxOutputTokens ?? Infinity);
+    const reservation = await throttles.tokens.acquire(estimateTokens(template.system + prompt) + expectedOutput);
+    const charge = (tokens: LanguageModelUsage) => {
+      if (tokens.totalTokens !== undefined) reservation.settle(tokens.totalTokens);
+      const callCost = callUsage(tokens, modelPrice(model.settings, run.prices));
+      addUsage(usage, callCost);
+      addUsage(run.usage, callCost);
+    };
+    try {
+      const { object, usage: tokens } = await generateObject({
+        model: model.instance,
+        schema: extractionResponseSchema,
+        system: template.system,
+        prompt,
+        temperature: model.settings.temperature,
+        maxOutputTokens: model.settings.maxOutputTokens,
+        maxRetries: 0, // retried by withRetry, with the rest of the sync's failures
+      });
+      charge(tokens);
+      return object.rules;
+    } catch (error) {
+      // A response that didn't fit the schema was still generated, and paid for
+      if (NoObjectGeneratedError.isInstance(error) && error.usage) charge(error.usage);
+      throw classifyError('extraction', error);
+    }
+  }), run.retry);
+}
+
+async function extractionModel(run: RunContext, settings: ModelSettings): Promise<ExtractionModel> {
+  const fixtures = run.llmFixtures;
+  if (!fixtures) return { settings, instance: await resolveModel(settings) };
+
+  const instance = await fixtureModel(fixtures, () => resolveModel(settings));
+  // Replayed responses stand in for the configured model, so record where they came from
+  return { settings: fixtures.mode === 'replay' ? replaySettings(fixtures) : settings, instance };
+}
+
+async function ensureOutputDir(): Promise<string> {
+  const outputDir = join(process.cwd(), 'output');
+  try {
+    await fs.access(outputDir);
+  } catch {
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+  return outputDir;
+}
+
+/**
+ * Chunks the policy text, extracts and validates rules from each chunk, merges
+ * them, drops rules whose evidence cannot be found in the text and maps the
+ * controlled fields to the vocabularies. Throws a
+ * PolicySyncError when no usable rule set could be produced.
+ */
+async function extractVerifiedRules(
+  pages: PolicyPage[],
+  manufacturerId: string,
+  detail: DocumentDetail,
+  model: ExtractionModel,
+  run: RunContext,
+): Promise<VerifiedRule[]> {
+  const progress = { document: detail.url };
+  // Split into chunks that fit in one LLM call
+  const chunks = chunkPolicyText(pages);
+  const chunkSummary: ChunkSummary = { total: chunks.length, processed: 0, failed: [] };
+  detail.chunks = chunkSummary;
+  
+  if (chunks.length === 0) {
+    throw new PolicySyncError('parse', 'No text extracted from PDF');
+  }
+  
+  // Call LLM for all chunks (bounded by the LLM throttles), then validate in chunk order
+  let completed = 0;
+  reportStage(run, manufacturerId, 'calling-llm', { ...progress, chunks: { completed, total: chunks.length } });
+  const outcomes = await Promise.all(chunks.map(async chunk => {
+    const usage = emptyUsage();
+    try {
+      const rules = await callLLM(chunk, chunks.length, detail.type, model, run, usage);
+      return { chunk, extractedRules: rules, usage };
+    } catch (error) {
+      return {
+        chunk,
+        error: error instanceof Error ? error.message : String(error),
+        overBudget: error instanceof BudgetExhaustedError,
+        usage: usage.calls > 0 ? usage : undefined,
+      };
+    } finally {
+      completed++;
+      reportStage(run, manufacturerId, 'calling-llm', { ...progress, chunks: { completed, total: chunks.length } });
+    }
+  }));
+
+  reportStage(run, manufacturerId, 'validating', progress);
+
+  const chunkResults: ChunkRules[] = [];
+  const rejected: RejectedRule[] = [];
+  const chunkUsage = outcomes.flatMap(({ chunk, usage }) => (usage ? [{ index: chunk.index, ...usage }] : []));
+  if (chunkUsage.length > 0) {
+    chunkSummary.usage = chunkUsage;
+    detail.usage = sumUsage(chunkUsage);
+  }
+  // Rules from the chunks that did get through would be a partial rule set
+  if (outcomes.some(outcome => outcome.overBudget)) throw new BudgetExhaustedError();
+
+  for (const { chunk, extractedRules, error } of outcomes) {
+    if (!extractedRules) {
+      chunkSummary.failed.push({ index: chunk.index, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd, error: error ?? '' });
+      continue;
+    }
+    const validation = validateRules(extractedRules);
+    chunkResults.push({ chunk, rules: validation.rules });
+    rejected.push(...validation.rejected.map(rule => ({ ...rule, chunk: chunk.index })));
+    chunkSummary.processed++;
+  }
+  if (rejected.length > 0) {
+    detail.rejectedRules = rejected;
+  }
+  
+  // A partial rule set would read as removed rules, so keep the previous CSV
+  if (chunkSummary.failed.length > 0) {
+    throw new PolicySyncError('extraction', `${chunkSummary.failed.length} of ${chunks.length} chunks failed extraction`);
+  }
+  
+  // Merge and de-duplicate rules across chunks
+  const mergedRules = mergeChunkRules(chunkResults);
+  
+  // Check each evidence excerpt against the PDF text and drop rules whose evidence can't be found or is misquoted
+  const textIndex = indexPolicyText(pages);
+  const verifiedRules: VerifiedRule[] = mergedRules.map(rule => {
+    const evidence = verifyEvidence(rule.evidence_excerpt, textIndex);
+    return { ...rule, evidence, source_page: sourcePage(rule.provenance, evidence), constraints: parseRuleConstraints(rule) };
+  });
+  detail.evidence = countEvidence(verifiedRules.map(rule => rule.evidence));
+
+  // Map the controlled fields to their canonical codes, reporting the values that don't map
+  const { rules, unmapped } = normalizeVocabulary(verifiedRules.filter(rule => rule.evidence.status !== 'unverified'));
+  if (unmapped.length > 0) {
+    detail.unmappedValues = unmapped;
+  }
+  const review = evidenceForReview(rules);
+  if (review.length > 0) {
+    detail.evidenceReview = review;
+  }
+  
+  if (rules.length === 0) {
+    if (verifiedRules.length > 0) {
+      throw new PolicySyncError('validation', 'No extracted rule had evidence found in the document text');
+    }
+    throw new PolicySyncError('validation', rejected.length > 0
+      ? `All ${rejected.length} extracted rules failed validation`
+      : 'No rules extracted');
+  }
+
+  return rules;
+}
+
+export interface DocumentExtraction {
+  rules: VerifiedRule[];
+  detail: DocumentDetail;
+}
+
+export interface ExtractionOptions {
+  config?: SyncConfig;
+  /** Extract with these settings instead of the configured model. */
+  model?: ModelSettings;
+  /** Extract with this prompt, as '<name>@<version>', instead of the configured one. */
+  prompt?: string;
+}
+
+function extractionRun(options: ExtractionOptions): RunContext {
+  const config = options.config ?? loadSyncConfig();
+  const run = createRunContext(config, '', true);
+  return options.prompt ? { ...run, prompt: getPrompt(options.prompt) } : run;
+}
+
+async function extractFromPages(
+  pages: PolicyPage[],
+  label: string,
+  detail: DocumentDetail,
+  run: RunContext,
+  options: ExtractionOptions,
+): Promise<VerifiedRule[]> {
+  const model = await extractionModel(run, options.model ?? run.model);
+  detail.model = model.settings;
+  detail.prompt = promptId(run.prompt);
+  return extractVerifiedRules(pages, label, detail, model, run);
+}
+
+/**
+ * Extracts a PDF's rules the way a sync does, but without downloading,
+ * archiving or recording anything, for evaluating extraction on sample
+ * documents. Failures are thrown rather than kept in the detail.
+ */
+export async function extractDocumentRules(
+  pdf: Buffer,
+  document: PolicyDocumentRef,
+  options: ExtractionOptions = {},
+): Promise<DocumentExtraction> {
+  const run = extractionRun(options);
+  const label = document.title ?? document.url;
+  const detail: DocumentDetail = { ...document, updated: false };
+
+  const pages = await extractPolicyText(pdf, label, detail, run);
+  const rules = await extractFromPages(pages, label, detail, run, options);
+  return { rules, detail };
+}
+
+/** Like extractDocumentRules, for text already extracted, such as an archived version's. */
+export async function extractTextRules(
+  pages: PolicyPage[],
+  document: PolicyDocumentRef,
+  options: ExtractionOptions = {},
+): Promise<DocumentExtraction> {
+  const run = extractionRun(options);
+  const detail: DocumentDetail = { ...document, updated: false };
+  const rules = await extractFromPages(pages, document.title ?? document.url, detail, run, options);
+  return { rules, detail };
+}
+
+/**
+ * Syncs one document of a manufacturer: skips it if unchanged, otherwise
+ * extracts its rules and records the version. Failures end up in `detail`.
+ */
+async function syncDocument(
+  run: RunContext,
+  manufacturerKey: string,
+  document: PolicyDocumentRef,
+  modelSettings: ModelSettings,
+): Promise<DocumentDetail> {
+  const { runId, outputDir } = run;
+  const pdfUrl = document.url;
+  const detail: DocumentDetail = { ...document, updated: false };
+  const progress = { document: pdfUrl };
+
+  const previousSource = run.force ? undefined : await getSourceState(manufacturerKey, pdfUrl);
+  const skipUnchanged = (sourceMatch: SourceMatch) => {
+    detail.skipped = 'source-unchanged';
+    detail.sourceMatch = sourceMatch;
+  };
+
+  // Set once a new document has been downloaded, so failed attempts are recorded too
+  let failedVersion: { pdf: Buffer; source: SourceState; pages?: PolicyPage[] } | undefined;
+  // Stage in progress, used to classify errors that aren't already PolicySyncErrors
+  let stage: SyncStage = 'download';
+
+  try {
+    // Download PDF, conditionally when we have validators from the last run
+    const download = await downloadPDF(pdfUrl, run, previousSource, () => reportStage(run, manufacturerKey, 'downloading', progress));
+    if (download.notModified) {
+      skipUnchanged('http-not-modified');
+      return detail;
+    }
+
+    const source: SourceState = {
+      url: pdfUrl,
+      etag: download.etag,
+      lastModified: download.lastModified,
+      contentHash: hashContent(download.buffer),
+      textHash: '',
+      processedAt: new Date().toISOString(),
+    };
+    const sameSource = previousSource?.url === pdfUrl;
+    if (sameSource && previousSource.contentHash === source.contentHash) {
+      await saveSourceState(manufacturerKey, { ...previousSource, etag: source.etag, lastModified: source.lastModified });
+      skipUnchanged('content-hash');
+      return detail;
+    }
+    failedVersion = { pdf: download.buffer, source };
+
+    // Extract text
+    stage = 'parse';
+    reportStage(run, manufacturerKey, 'extracting-text', progress);
+    const pages = await extractPolicyText(download.buffer, manufacturerKey, detail, run);
+    source.textHash = hashContent(pages.map(page => page.text).join('\f'));
+    if (sameSource && previousSource.textHash === source.textHash) {
+      await saveSourceState(manufacturerKey, { ...source, processedAt: previousSource.processedAt });
+      failedVersion = undefined;
+      skipUnchanged('text-hash');
+      return detail;
+    }
+    failedVersion.pages = pages;
+
+    stage = 'extraction';
+    if (isBudgetExhausted(run.usage, run.budget)) throw new BudgetExhaustedError();
+    const model = await extractionModel(run, modelSettings);
+    detail.model = model.settings;
+    detail.prompt = promptId(run.prompt);
+    const rules = await extractVerifiedRules(pages, manufacturerKey, detail, model, run);
+    detail.rulesCount = rules.length;
+
+    // Compare rule by rule with the document's current rule set
+    reportStage(run, manufacturerKey, 'diffing', progress);
+    const existingRules = await getCurrentRules(manufacturerKey, pdfUrl);
+    const diff = diffRules(existingRules ?? [], rules);
+    detail.diff = diff;
+    // Reworded but equivalent rules (see diffRules) don't replace the current rule set
+    const changed = existingRules === null || hasRuleChanges(diff);
+
+    // Archive the document, then record the version, its rules and the source state together
+    stage = 'write';
+    failedVersion = undefined;
+    const archived = await archivePolicyFiles(outputDir, manufacturerKey, document, download.buffer, pages);
+    await recordDocumentVersion({
+      manufacturerId: manufacturerKey,
+      url: pdfUrl,
+      runId,
+      archivedAt: archived.archivedAt,
+      archivePath: archived.path,
+      contentHash: source.contentHash,
+      textHash: source.textHash,
+      extractionMethod: detail.textExtraction?.method,
+      model: model.settings,
+      prompt: detail.prompt,
+      etag: source.etag,
+      lastModified: source.lastModified,
+      status: 'ok',
+      rulesCount: rules.length,
+      changes: { added: diff.added, removed: diff.removed, modified: diff.modified, unchanged: diff.unchanged },
+    }, { rules, makeCurrent: changed, source });
+    detail.updated = changed;
+  } catch (error) {
+    if (error instanceof BudgetExhaustedError) {
+      // Not a failed version: the source state is left as it was, so the next run picks the document up
+      failedVersion = undefined;
+      detail.skipped = 'budget-exhausted';
+    } else {
+      const failure = classifyError(stage, error);
+      detail.error = failure.message;
+      detail.errorStage = failure.stage;
+    }
+  } finally {
+    // Keep failed attempts too, so every downloaded document is on record
+    if (failedVersion) {
+      try {
+        const archived = await archivePolicyFiles(outputDir, manufacturerKey, document, failedVersion.pdf, failedVersion.pages);
+        await recordDocumentVersion({
+          manufacturerId: manufacturerKey,
+          url: pdfUrl,
+          runId,
+          archivedAt: archived.archivedAt,
+          archivePath: archived.path,
+          contentHash: failedVersion.source.contentHash,
+          textHash: failedVersion.source.textHash || undefined,
+          extractionMethod: detail.textExtraction?.method,
+          model: detail.model,
+          prompt: detail.prompt,
+          etag: failedVersion.source.etag,
+          lastModified: failedVersion.source.lastModified,
+          status: 'failed',
+          error: detail.error,
+        });
+      } catch (error) {
+        detail.error = `${detail.error}; archiving failed: ${error instanceof Error ? error.message : String(error)}`;
+      }
+    }
+
+    if (detail.error !== undefined) {
+      reportStage(run, manufacturerKey, 'failed', { ...progress, error: detail.error, errorStage: detail.errorStage });
+    } else if (detail.skipped === 'budget-exhausted') {
+      reportStage(run, manufacturerKey, 'over-budget', progress);
+    } else {
+      reportStage(run, manufacturerKey, detail.skipped ? 'unchanged' : 'written', progress);
+    }
+  }
+
+  return detail;
+}
+
+/**
+ * Syncs each of the manufacturer's registered documents, then rewrites its
+ * merged rule set export if any document's rules changed.
+ */
+async function syncManufacturer(run: RunContext, manufacturer: Manufacturer, position: number): Promise<ManufacturerDetail> {
+  const manufacturerKey = manufacturer.id;
+  const detail: ManufacturerDetail = {
+    id: manufacturerKey,
+    name: manufacturer.name,
+    updated: false,
+    documents: [],
+  };
+
+  try {
+    const modelSettings = applyModelOverride(run.model, manufacturer.model);
+    detail.documents = await Promise.all(
+      manufacturer.documents.map(document => syncDocument(run, manufacturerKey, document, modelSettings)),
+    );
+
+    if (detail.documents.some(document => document.usage)) {
+      detail.usage = sumUsage(detail.documents.map(document => document.usage));
+    }
+    if (detail.documents.every(document => document.skipped)) {
+      detail.skipped = detail.documents.some(document => document.skipped === 'budget-exhausted')
+        ? 'budget-exhausted'
+        : 'source-unchanged';
+    }
+    const failed = detail.documents.filter(document => document.error !== undefined);
+    if (failed.length > 0) {
+      detail.error = failed.length === 1 && detail.documents.length === 1
+        ? failed[0].error
+        : `${failed.length} of ${detail.documents.length} documents failed: ${failed.map(document => `${document.type} (${document.error})`).join('; ')}`;
+      detail.errorStage = failed[0].errorStage;
+    }
+
+    if (detail.documents.some(document => document.updated)) {
+      await exportRulesCSV(run.outputDir, manufacturerKey);
+      detail.updated = true;
+    }
+    detail.rulesCount = (await getManufacturerRules(manufacturerKey))?.length;
+  } catch (error) {
+    const failure = classifyError('write', error);
+    detail.error = failure.message;
+    detail.errorStage = failure.stage;
+  } finally {
+    // Thrown from here it would replace the sync's own outcome, which the rules and CSV already reflect
+    try {
+      await recordRunResult(run.runId, position, detail);
+    } catch (error) {
+      console.error(`Failed to record the policy sync ${run.runId} result for ${manufacturerKey}:`, error);
+    }
+  }
+
+  if (detail.error !== undefined) {
+    reportStage(run, manufacturerKey, 'failed', { error: detail.error, errorStage: detail.errorStage });
+  } else if (detail.skipped === 'budget-exhausted') {
+    reportStage(run, manufacturerKey, 'over-budget');
+  } else {
+    reportStage(run, manufacturerKey, detail.skipped ? 'unchanged' : 'written');
+  }
+
+  return detail;
+}
+
+export const documentDetailSchema = z.object({
+  url: z.string(),
+  type: z.enum(DOCUMENT_TYPES),
+  title: z.string().optional(),
+  updated: z.boolean(),
+  textExtraction: z.object({
+    method: z.enum(EXTRACTION_METHODS),
+    ocrPages: z.array(z.number()).optional(),
+    unreadablePages: z.array(z.number()).optional(),
+    tables: z.number().optional(),
+  }).optional(),
+  model: modelSettingsSchema.optional(),
+  prompt: z.string().optional(),
+  rulesCount: z.number().optional(),
+  rejectedRules: z.array(rejectedRuleSchema).optional(),
+  chunks: z.object({
+    total: z.number(),
+    processed: z.number(),
+    failed: z.array(z.object({
+      index: z.number(),
+      pageStart: z.number(),
+      pageEnd: z.number(),
+      error: z.string(),
+    })),
+    usage: z.array(llmUsageSchema.extend({ index: z.number() })).optional(),
+  }).optional(),
+  usage: llmUsageSchema.optional(),
+  evidence: evidenceCountsSchema.optional(),
+  evidenceReview: z.array(evidenceReviewSchema).optional(),
+  unmappedValues: z.array(unmappedValueSchema).optional(),
+  diff: ruleDiffSchema.optional(),
+  skipped: z.enum(['source-unchanged', 'budget-exhausted']).optional(),
+  sourceMatch: z.enum(['http-not-modified', 'content-hash', 'text-hash']).optional(),
+  error: z.string().optional(),
+  errorStage: z.enum(SYNC_STAGES).optional(),
+});
+
+export const manufacturerDetailSchema = z.object({
+  id: z.string(),
+  updated: z.boolean(),
+  name: z.string().optional(),
+  rulesCount: z.number().optional(),
+  documents: z.array(documentDetailSchema),
+  usage: llmUsageSchema.optional(),
+  skipped: z.enum(['source-unchanged', 'budget-exhausted']).optional(),
+  error: z.string().optional(),
+  errorStage: z.enum(SYNC_STAGES).optional(),
+});
+
+export const syncResultSchema = z.object({
+  runId: z.string(),
+  totalManufacturers: z.number(),
+  updated: z.number(),
+  unchanged: z.number(),
+  failed: z.number(),
+  overBudget: z.number(),
+  details: z.array(manufacturerDetailSchema),
+  usage: llmUsageSchema,
+  budget: z.object({
+    limit: runBudgetSchema,
+    exhausted: z.boolean(),
+    skippedManufacturers: z.array(z.string()),
+  }).optional(),
+});
+
+export interface SyncOptions {
+  /** Re-extract rules even when a document has not changed. */
+  force?: boolean;
+  /** Manufacturer keys to sync; all registered manufacturers when omitted. */
+  manufacturers?: string[];
+  /** Called with each progress event of the run, in addition to subscribers of the run. */
+  onProgress?: ProgressListener;
+  /** Recorded with the run; defaults to 'manual'. */
+  trigger?: SyncTrigger;
+  scheduledFor?: string;
+  /** Limit on the run's LLM use, instead of the configured one. */
+  budget?: RunBudget;
+  /** Sync lock the run is started under, noted as the run's when the run is recorded. */
+  lease?: SyncLease;
+}
+
+export interface StartedSync {
+  runId: string;
+  /** Settles once every manufacturer has been processed and the run is recorded. */
+  result: Promise<SyncResult>;
+}
+
+/** Thrown when a sync names manufacturers that aren't in the registry or aren't active. */
+export class ManufacturerSelectionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ManufacturerSelectionError';
+  }
+}
+
+/** Thrown when a run has a USD budget but a model it would call has no price to charge against it. */
+export class UnpricedBudgetError extends Error {
+  constructor(models: string[]) {
+    super(
+      `No price for ${models.join(', ')}, so a USD budget can't be enforced; ` +
+      'add the model to POLICY_SYNC_MODEL_PRICES or set a token budget instead',
+    );
+    this.name = 'UnpricedBudgetError';
+  }
+}
+
+/**
+ * Active registry manufacturers to sync: all of them, or those named by id,
+ * display name or alias.
+ */
+export async function resolveManufacturers(keys?: string[]): Promise<Manufacturer[]> {
+  if (keys === undefined) return listManufacturers();
+
+  const selected = new Map<string, Manufacturer>();
+  const unknown: string[] = [];
+  const inactive: string[] = [];
+  for (const key of keys) {
+    const manufacturer = await findManufacturer(key);
+    if (!manufacturer) {
+      unknown.push(key);
+    } else if (!manufacturer.active) {
+      inactive.push(manufacturer.id);
+    } else {
+      selected.set(manufacturer.id, manufacturer);
+    }
+  }
+
+  const problems = [
+    unknown.length > 0 ? `Unknown manufacturers: ${unknown.join(', ')}` : '',
+    inactive.length > 0 ? `Inactive manufacturers: ${inactive.join(', ')}` : '',
+  ].filter(Boolean);
+  if (problems.length > 0) {
+    throw new ManufacturerSelectionError(problems.join('; '));
+  }
+  return [...selected.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Records a new sync run and starts processing it. Resolves as soon as the run
+ * is on record, so callers can hand out the run id while the sync continues.
+ */
+export async function startPolicySync(options: SyncOptions = {}): Promise<StartedSync> {
+  const manufacturers = (await resolveManufacturers(options.manufacturers))
+    .filter(manufacturer => manufacturer.documents.length > 0);
+  const force = options.force ?? false;
+  const config = loadSyncConfig();
+  const run = createRunContext(config, await ensureOutputDir(), force, options);
+  assertBudgetPriced(run, manufacturers);
+
+  await startSyncRun({
+    id: run.runId,
+    startedAt: run.runStartedAt,
+    trigger: options.trigger ?? 'manual',
+    scheduledFor: options.scheduledFor,
+    force,
+    model: config.model,
+    prompt: config.prompt,
+    budget: run.budget,
+    totalManufacturers: manufacturers.length,
+    manufacturers: options.manufacturers === undefined ? undefined : manufacturers.map(manufacturer => manufacturer.id),
+  }, options.lease);
+
+  return { runId: run.runId, result: processRun(run, manufacturers) };
+}
+
+// Unpriced calls cost nothing, so a USD budget would never stop a run using them
+function assertBudgetPriced(run: RunContext, manufacturers: Manufacturer[]): void {
+  if (run.budget?.usd === undefined || run.llmFixtures?.mode === 'replay') return;
+  const unpriced = new Set(manufacturers
+    .map(manufacturer => applyModelOverride(run.model, manufacturer.model))
+    .filter(settings => !modelPrice(settings, run.prices))
+    .map(describeModel));
+  if (unpriced.size > 0) throw new UnpricedBudgetError([...unpriced].sort());
+}
+
+/** Runs a policy sync to completion. */
+export async function runPolicySync(options: SyncOptions = {}): Promise<SyncResult> {
+  const { result } = await startPolicySync(options);
+  return result;
+}
+
+async function processRun(run: RunContext, manufacturers: Manufacturer[]): Promise<SyncResult> {
+  for (const manufacturer of manufacturers) {
+    reportStage(run, manufacturer.id, 'queued');
+  }
+
+  try {
+    // All manufacturers start at once; the throttles bound the actual work.
+    // Promise.all keeps details in registry order whatever order they finish in.
+    const details = await Promise.all(
+      manufacturers.map((manufacturer, position) => syncManufacturer(run, manufacturer, position)),
+    );
+
+    // Each manufacturer counts once: a document failure outweighs another document's update
+    const failedCount = details.filter(detail => detail.error !== undefined).length;
+    const updatedCount = details.filter(detail => detail.updated && detail.error === undefined).length;
+    const overBudgetCount = details.filter(detail => detail.skipped === 'budget-exhausted').length;
+    const unchangedCount = details.length - updatedCount - failedCount - overBudgetCount;
+    const budget: BudgetOutcome | undefined = run.budget && {
+      limit: run.budget,
+      exhausted: isBudgetExhausted(run.usage, run.budget),
+      skippedManufacturers: details
+        .filter(detail => detail.documents.some(document => document.skipped === 'budget-exhausted'))
+        .map(detail => detail.id),
+    };
+
+    await finishSyncRun(run.runId, {
+      status: 'completed',
+      totalManufacturers: manufacturers.length,
+      updated: updatedCount,
+      unchanged: unchangedCount,
+      failed: failedCount,
+      usage: run.usage,
+      budgetSkipped: budget?.skippedManufacturers,
+    });
+    await exportLastRunStatus(run.outputDir, run.runId);
+    report(run, {
+      type: 'run-finished',
+      runId: run.runId,
+      at: new Date().toISOString(),
+      status: 'completed',
+      updated: updatedCount,
+      unchanged: unchangedCount,
+      failed: failedCount,
+    });
+
+    return {
+      runId: run.runId,
+      totalManufacturers: manufacturers.length,
+      updated: updatedCount,
+      unchanged: unchangedCount,
+      failed: failedCount,
+      overBudget: overBudgetCount,
+      details,
+      usage: run.usage,
+      budget,
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    try {
+      await finishSyncRun(run.runId, { status: 'failed', error: message, usage: run.usage });
+    } finally {
+      report(run, { type: 'run-finished', runId: run.runId, at: new Date().toISOString(), status: 'failed', error: message });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,105 @@
+import { z } from 'zod';
+import { describeModel, type ModelSettings } from './models';
+
+/** Tokens used by LLM calls and what they are estimated to cost. */
+export interface LlmUsage {
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  /** Estimated cost in USD of the calls whose model has a known price. */
+  costUsd: number;
+  /** Calls left out of costUsd because their model has no known price. */
+  unpricedCalls: number;
+}
+
+export const llmUsageSchema = z.object({
+  calls: z.number(),
+  inputTokens: z.number(),
+  outputTokens: z.number(),
+  totalTokens: z.number(),
+  costUsd: z.number(),
+  unpricedCalls: z.number(),
+});
+
+/** USD per million tokens. */
+export interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+export const modelPriceSchema = z.object({
+  input: z.number().nonnegative(),
+  output: z.number().nonnegative(),
+});
+
+// List prices at the time of writing; configure POLICY_SYNC_MODEL_PRICES for others or when they change
+const DEFAULT_PRICES: Record<string, ModelPrice> = {
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4.1': { input: 2, output: 8 },
+  'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'openai/gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'openai/o4-mini': { input: 1.1, output: 4.4 },
+};
+
+export function emptyUsage(): LlmUsage {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+/** Adds `usage` into `total` in place and returns it. */
+export function addUsage(total: LlmUsage, usage: LlmUsage): LlmUsage {
+  total.calls += usage.calls;
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.totalTokens += usage.totalTokens;
+  // Rounded to a millionth of a dollar so sums don't drift with floating point noise
+  total.costUsd = Math.round((total.costUsd + usage.costUsd) * 1e6) / 1e6;
+  total.unpricedCalls += usage.unpricedCalls;
+  return total;
+}
+
+export function sumUsage(usages: (LlmUsage | undefined)[]): LlmUsage {
+  return usages.reduce<LlmUsage>((total, usage) => (usage ? addUsage(total, usage) : total), emptyUsage());
+}
+
+/** Price of a model: configured ones first, then the built-in list. Replayed responses cost nothing. */
+export function modelPrice(settings: ModelSettings, prices: Record<string, ModelPrice> = {}): ModelPrice | undefined {
+  if (settings.provider === 'replay') return { input: 0, output: 0 };
+  const id = describeModel(settings);
+  return prices[id] ?? DEFAULT_PRICES[id];
+}
+
+/** Usage of one LLM call from the token counts the provider reported, some of which may be missing. */
+export function callUsage(
+  tokens: { inputTokens?: number; outputTokens?: number; totalTokens?: number },
+  price: ModelPrice | undefined,
+): LlmUsage {
+  const inputTokens = tokens.inputTokens ?? 0;
+  const outputTokens = tokens.outputTokens ?? 0;
+  return {
+    calls: 1,
+    inputTokens,
+    outputTokens,
+    totalTokens: tokens.totalTokens ?? inputTokens + outputTokens,
+    costUsd: price ? Math.round(((inputTokens * price.input + outputTokens * price.output) / 1e6) * 1e6) / 1e6 : 0,
+    unpricedCalls: price ? 0 : 1,
+  };
+}
+
+/** Limits on a run's LLM use; either may be left unset. */
+export interface RunBudget {
+  tokens?: number;
+  usd?: number;
+}
+
+export const runBudgetSchema = z.object({
+  tokens: z.number().int().positive().optional(),
+  usd: z.number().positive().optional(),
+});
+
+export function isBudgetExhausted(usage: LlmUsage, budget: RunBudget | undefined): boolean {
+  if (!budget) return false;
+  return (budget.tokens !== undefined && usage.totalTokens >= budget.tokens)
+    || (budget.usd !== undefined && usage.costUsd >= budget.usd);
+}
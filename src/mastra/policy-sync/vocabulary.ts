@@ -0,0 +1,178 @@
+import { z } from 'zod';
+import type { PolicyRule } from './rules';
+
+/** A canonical value of a controlled rule field. */
+export interface VocabularyTerm {
+  code: string;
+  label: string;
+  /** Other ways policies and models phrase it; matched ignoring case, punctuation and plurals. */
+  aliases: string[];
+  /** Broader term that includes this one, e.g. the hospital types' HOSPITAL. */
+  parent?: string;
+}
+
+// HRSA 340B covered entity types, by their OPAIS codes, under the groups policies usually name
+const ENTITY_TYPES: VocabularyTerm[] = [
+  { code: 'ALL', label: 'All covered entities', aliases: ['covered entity', 'all covered entity', '340b covered entity', 'ce', 'all entity types'] },
+  { code: 'HOSPITAL', label: 'Hospital covered entities', parent: 'ALL', aliases: ['hospital', 'hospital covered entity', 'covered entity hospital', '340b hospital', 'hospital ce', 'ch'] },
+  { code: 'GRANTEE', label: 'Grantee covered entities', parent: 'ALL', aliases: ['grantee', 'grantee covered entity', 'federal grantee', 'non hospital covered entity', 'non hospital'] },
+  { code: 'DSH', label: 'Disproportionate share hospital', parent: 'HOSPITAL', aliases: ['disproportionate share hospital', 'disproportionate share'] },
+  { code: 'CAH', label: 'Critical access hospital', parent: 'HOSPITAL', aliases: ['critical access hospital', 'critical access'] },
+  { code: 'SCH', label: 'Sole community hospital', parent: 'HOSPITAL', aliases: ['sole community hospital', 'sole community'] },
+  { code: 'RRC', label: 'Rural referral center', parent: 'HOSPITAL', aliases: ['rural referral center', 'rural referral'] },
+  { code: 'PED', label: "Children's hospital", parent: 'HOSPITAL', aliases: ['childrens hospital', 'children hospital', 'free standing childrens hospital', 'pediatric hospital'] },
+  { code: 'CAN', label: 'Free-standing cancer hospital', parent: 'HOSPITAL', aliases: ['cancer hospital', 'free standing cancer hospital'] },
+  { code: 'FQHC', label: 'Federally qualified health center', parent: 'GRANTEE', aliases: ['federally qualified health center', 'community health center', 'health center', 'section 330 grantee'] },
+  { code: 'FQHCLA', label: 'FQHC look-alike', parent: 'GRANTEE', aliases: ['fqhc look alike', 'look alike', 'federally qualified health center look alike'] },
+  { code: 'RW', label: 'Ryan White HIV/AIDS program grantee', parent: 'GRANTEE', aliases: ['ryan white', 'ryan white grantee', 'ryan white clinic', 'ryan white hiv aid program grantee'] },
+  { code: 'HM', label: 'Hemophilia treatment center', parent: 'GRANTEE', aliases: ['hemophilia treatment center', 'htc'] },
+  { code: 'FP', label: 'Title X family planning clinic', parent: 'GRANTEE', aliases: ['family planning', 'title x', 'title x family planning', 'family planning clinic'] },
+  { code: 'STD', label: 'STD clinic', parent: 'GRANTEE', aliases: ['std clinic', 'sexually transmitted disease clinic'] },
+  { code: 'TB', label: 'Tuberculosis clinic', parent: 'GRANTEE', aliases: ['tuberculosis clinic', 'tb clinic'] },
+  { code: 'BL', label: 'Black lung clinic', parent: 'GRANTEE', aliases: ['black lung clinic', 'black lung'] },
+  { code: 'NH', label: 'Native Hawaiian health center', parent: 'GRANTEE', aliases: ['native hawaiian health center', 'native hawaiian'] },
+  { code: 'UI', label: 'Urban Indian organization', parent: 'GRANTEE', aliases: ['urban indian organization', 'urban indian', 'title v urban indian'] },
+];
+
+const REQUIREMENT_TYPES: VocabularyTerm[] = [
+  { code: 'esp_registration', label: 'Register on 340B ESP', aliases: ['esp registration', '340b esp registration', 'register on 340b esp', 'registration', 'esp'] },
+  { code: 'claims_data_submission', label: 'Submit claims data', aliases: ['claims data submission', 'submit claims data', 'data submission', 'claims data', 'claims data reporting', 'data sharing'] },
+  { code: 'data_fields', label: 'Required claims data fields', aliases: ['data fields', 'required data fields', 'data elements', 'required data elements'] },
+  { code: 'submission_deadline', label: 'Data submission deadline', aliases: ['submission deadline', 'data submission deadline', 'reporting deadline', 'submission timing'] },
+  { code: 'single_contract_pharmacy', label: 'Single contract pharmacy designation', aliases: ['single contract pharmacy designation', 'single contract pharmacy', 'one contract pharmacy', 'contract pharmacy designation', 'pharmacy designation'] },
+  { code: 'distance_limit', label: 'Contract pharmacy distance limit', aliases: ['distance limit', 'distance requirement', 'mileage limit', 'radius limit', 'proximity requirement', 'geographic limit'] },
+  { code: 'ownership_requirement', label: 'Pharmacy ownership requirement', aliases: ['ownership requirement', 'ownership', 'common ownership', 'wholly owned pharmacy'] },
+  { code: 'in_house_pharmacy', label: 'In-house pharmacy only', aliases: ['in house pharmacy', 'in house pharmacy only', 'entity owned pharmacy'] },
+  { code: 'product_scope', label: 'Products covered by the policy', aliases: ['product scope', 'covered product', 'product limitation', 'drug scope', 'ndc list'] },
+  { code: 'rebate_model', label: 'Rebate instead of upfront discount', aliases: ['rebate', 'rebate model', 'claims based rebate', 'credit'] },
+  { code: 'audit', label: 'Audit or attestation', aliases: ['audit', 'attestation', 'certification', 'compliance attestation'] },
+  { code: 'noncompliance_consequence', label: 'Consequence of noncompliance', aliases: ['consequence', 'penalty', 'enforcement', 'loss of access', 'loss of contract pharmacy access'] },
+  { code: 'exemption', label: 'Exemption', aliases: ['exemption', 'exception', 'exempt'] },
+];
+
+const SCOPE_AREAS: VocabularyTerm[] = [
+  { code: 'contract_pharmacy', label: 'Contract pharmacy', aliases: ['contract pharmacy', 'contract pharmacy arrangement', 'contract pharmacy access'] },
+  { code: 'in_house_pharmacy', label: 'In-house pharmacy', aliases: ['in house pharmacy', 'entity owned pharmacy'] },
+  { code: 'claims_data', label: 'Claims data', aliases: ['claims data', 'data submission', 'data reporting', 'claims data reporting'] },
+  { code: 'registration', label: 'Registration', aliases: ['registration', 'esp registration', '340b esp'] },
+  { code: 'products', label: 'Products', aliases: ['product', 'covered product', 'drug', 'ndc'] },
+  { code: 'pricing', label: '340B pricing', aliases: ['pricing', '340b pricing', 'rebate', 'credit'] },
+  { code: 'compliance', label: 'Compliance', aliases: ['compliance', 'audit', 'enforcement'] },
+  { code: 'general', label: 'General', aliases: ['general', 'all', 'program'] },
+];
+
+export const VOCABULARY_FIELDS = ['entity_type', 'scope_area', 'requirement_type'] as const;
+
+export type VocabularyField = (typeof VOCABULARY_FIELDS)[number];
+
+// policy-parser@2 and later list these codes, so add or rename a code along
+// with a new prompt version. Aliases can be added at any time.
+export const VOCABULARIES: Record<VocabularyField, VocabularyTerm[]> = {
+  entity_type: ENTITY_TYPES,
+  scope_area: SCOPE_AREAS,
+  requirement_type: REQUIREMENT_TYPES,
+};
+
+/** Separator between the codes of a field naming several terms. */
+export const VALUE_SEPARATOR = '; ';
+
+/** A raw value no term matched, with the rules that carry it. */
+export interface UnmappedValue {
+  field: VocabularyField;
+  value: string;
+  rule_ids: string[];
+}
+
+export const unmappedValueSchema = z.object({
+  field: z.enum(VOCABULARY_FIELDS),
+  value: z.string(),
+  rule_ids: z.array(z.string()),
+});
+
+function matchKey(value: string): string {
+  return value
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word !== 'the' && word !== 'a' && word !== 'an')
+    .map(word => (word.length > 3 && word.endsWith('ies') ? `${word.slice(0, -3)}y` : word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+const lookups = Object.fromEntries(VOCABULARY_FIELDS.map(field => {
+  const lookup = new Map<string, string>();
+  for (const term of VOCABULARIES[field]) {
+    for (const name of [term.code, term.label, ...term.aliases]) lookup.set(matchKey(name), term.code);
+  }
+  return [field, lookup];
+})) as Record<VocabularyField, Map<string, string>>;
+
+/**
+ * Maps a raw field value to canonical codes. A value naming several terms
+ * ("DSH, CAH and RRC hospitals") maps when every part does; otherwise null,
+ * as guessing at the rest could widen or narrow what the rule covers.
+ */
+export function mapVocabularyValue(field: VocabularyField, value: string): string | null {
+  const lookup = lookups[field];
+  const whole = lookup.get(matchKey(value));
+  if (whole) return whole;
+
+  const parts = value.split(/[;,/&]|\band\b|\bor\b/i).map(part => part.trim()).filter(Boolean);
+  const codes: string[] = [];
+  for (const part of parts) {
+    // "DSH hospitals" and the like name the type with the group it belongs to
+    const code = lookup.get(matchKey(part)) ?? lookup.get(matchKey(part.replace(/\b(hospitals?|clinics?|covered entit(y|ies))$/i, '')));
+    if (!code) return null;
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return codes.length > 0 ? codes.join(VALUE_SEPARATOR) : null;
+}
+
+/**
+ * Replaces the controlled fields' raw values with canonical codes. Values no
+ * term matches are kept as extracted and listed in `unmapped`; empty values
+ * are left empty.
+ */
+export function normalizeVocabulary<T extends PolicyRule>(rules: T[]): { rules: T[]; unmapped: UnmappedValue[] } {
+  const unmapped = new Map<string, UnmappedValue>();
+  const normalized = rules.map(rule => {
+    const result = { ...rule };
+    for (const field of VOCABULARY_FIELDS) {
+      const value = rule[field];
+      if (!value) continue;
+      const mapped = mapVocabularyValue(field, value);
+      if (mapped) {
+        result[field] = mapped;
+        continue;
+      }
+      const key = `${field}\u0000${value}`;
+      const entry = unmapped.get(key) ?? { field, value, rule_ids: [] };
+      entry.rule_ids.push(rule.rule_id);
+      unmapped.set(key, entry);
+    }
+    return result;
+  });
+  return { rules: normalized, unmapped: [...unmapped.values()] };
+}
+
+/** The code with the broader terms that include it, e.g. DSH, HOSPITAL and ALL. */
+function withAncestors(field: VocabularyField, code: string): string[] {
+  const codes = [code];
+  let term = VOCABULARIES[field].find(candidate => candidate.code === code);
+  while (term?.parent) {
+    codes.push(term.parent);
+    term = VOCABULARIES[field].find(candidate => candidate.code === term!.parent);
+  }
+  return codes;
+}
+
+/**
+ * Whether a rule applies to the given code of a field. A rule for a broader
+ * term counts, so filtering on DSH finds the rules for all hospitals too.
+ */
+export function ruleMatchesTerm(rule: PolicyRule, field: VocabularyField, code: string): boolean {
+  const wanted = withAncestors(field, code);
+  return rule[field].split(VALUE_SEPARATOR).some(value => wanted.includes(value.trim()));
+}
@@ -0,0 +1,67 @@
+import { createScorer } from '@mastra/core/scores';
+import { compareRuleSets, type RuleSetComparison } from '../policy-sync/evaluation';
+import type { EvidenceCounts, VerifiedRule } from '../policy-sync/evidence';
+import type { PolicyRule } from '../policy-sync/rules';
+
+/** What the extractor returned for a sample document; the golden rules are the ground truth. */
+export interface ExtractionOutput {
+  rules: VerifiedRule[];
+  evidence: EvidenceCounts;
+}
+
+function extractionScorer(
+  name: string,
+  description: string,
+  score: (comparison: RuleSetComparison) => number | null,
+  reason: (comparison: RuleSetComparison) => string,
+) {
+  return createScorer<unknown, ExtractionOutput>({ name, description })
+    .preprocess(({ run }) => compareRuleSets(run.groundTruth as PolicyRule[], run.output.rules, run.output.evidence))
+    .generateScore(({ results }) => score(results.preprocessStepResult) ?? 0)
+    .generateReason(({ results }) => reason(results.preprocessStepResult));
+}
+
+export const ruleF1Scorer = extractionScorer(
+  'Rule F1',
+  'How many of the labeled rules were extracted, and how many extracted rules are real ones',
+  comparison => comparison.f1,
+  ({ matched, golden, extracted }) => `${matched} of ${golden} labeled rules matched by ${extracted} extracted`,
+);
+
+export const fieldAccuracyScorer = extractionScorer(
+  'Field accuracy',
+  'Share of labeled field values the extracted rules state, over all scored fields',
+  comparison => {
+    const fields = Object.values(comparison.fields);
+    const truePositives = fields.reduce((sum, field) => sum + field.truePositives, 0);
+    const labeled = truePositives + fields.reduce((sum, field) => sum + field.falseNegatives, 0);
+    return labeled === 0 ? null : truePositives / labeled;
+  },
+  comparison => {
+    const missed = Object.entries(comparison.fields)
+      .filter(([, field]) => field.falseNegatives > 0)
+      .map(([name, field]) => `${name} (${field.falseNegatives})`);
+    return missed.length ? `Missed or wrong: ${missed.join(', ')}` : 'Every labeled field value was extracted';
+  },
+);
+
+export const ruleSplitScorer = extractionScorer(
+  'Rule split',
+  'Share of labeled rules extracted as exactly one rule, neither split up nor merged with others',
+  comparison => comparison.split.score,
+  ({ split }) => `${split.correct} split correctly, ${split.overSplit} split up, ${split.merged} extracted rules merge several`,
+);
+
+export const evidenceFidelityScorer = extractionScorer(
+  'Evidence fidelity',
+  'Share of returned rules whose evidence excerpt was found verbatim in the document',
+  comparison => comparison.evidence.fidelity,
+  ({ evidence: { counts } }) => `${counts.verified} verified, ${counts.weak} weak, ${counts.unverified} unverified excerpts`,
+);
+
+export const extractionScorers = {
+  ruleF1Scorer,
+  fieldAccuracyScorer,
+  ruleSplitScorer,
+  evidenceFidelityScorer,
+};
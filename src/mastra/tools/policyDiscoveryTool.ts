@@ -0,0 +1,13 @@
+import { createTool } from '@mastra/core/tools';
+import { z } from 'zod';
+import { discoveryReportSchema, runDiscovery } from '../policy-sync/discovery';
+
+export const policyDiscoveryTool = createTool({
+  id: 'policy-discovery',
+  description: 'Check the 340B ESP resources listing for manufacturers and documents missing from the registry, and for registered URLs that are dead',
+  inputSchema: z.object({
+    checkLinks: z.boolean().optional().describe('Check registered and newly found URLs for being dead (default true)'),
+  }),
+  outputSchema: discoveryReportSchema,
+  execute: async ({ context }) => runDiscovery({ checkLinks: context.checkLinks }),
+});
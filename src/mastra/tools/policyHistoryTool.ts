@@ -0,0 +1,66 @@
+import { createTool } from '@mastra/core/tools';
+import { z } from 'zod';
+import { getVersionsInForce, getVersionRules, listDocumentVersions } from '../policy-sync/store';
+import { DOCUMENT_TYPES, mergeDocumentRules } from '../policy-sync/documents';
+import { findManufacturer } from '../policy-sync/registry';
+import { EXTRACTION_METHODS } from '../policy-sync/ocr';
+import { modelSettingsSchema } from '../policy-sync/models';
+
+const versionSchema = z.object({
+  id: z.number(),
+  runId: z.string(),
+  archivedAt: z.string(),
+  archivePath: z.string(),
+  url: z.string(),
+  documentType: z.enum(DOCUMENT_TYPES).optional(),
+  status: z.enum(['ok', 'failed']),
+  contentHash: z.string(),
+  extractionMethod: z.enum(EXTRACTION_METHODS).optional(),
+  model: modelSettingsSchema.optional(),
+  prompt: z.string().optional(),
+  rulesCount: z.number().optional(),
+  error: z.string().optional(),
+});
+
+export const policyHistoryTool = createTool({
+  id: 'policy-history',
+  description: 'Look up archived versions of a manufacturer\'s 340B policy documents, or the rules that were in force on a given date',
+  inputSchema: z.object({
+    manufacturer: z.string().describe('Manufacturer key, name or alias, e.g. "merck"'),
+    date: z.string().optional().describe('ISO date or timestamp; omit to list all archived versions'),
+  }),
+  outputSchema: z.object({
+    manufacturer: z.string(),
+    versions: z.array(versionSchema).optional(),
+    inForce: z.array(versionSchema).optional(),
+    rules: z.array(z.record(z.unknown())).optional(),
+  }),
+  execute: async ({ context }) => {
+    const manufacturer = (await findManufacturer(context.manufacturer))?.id ?? context.manufacturer.toLowerCase();
+
+    if (!context.date) {
+      return { manufacturer, versions: await listDocumentVersions(manufacturer) };
+    }
+
+    // A bare date means "as of the end of that day".
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(context.date)
+      ? new Date(`${context.date}T23:59:59.999Z`)
+      : new Date(context.date);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date '${context.date}'`);
+    }
+
+    // One version per document, merged in document order like the current rule set
+    const versions = await getVersionsInForce(manufacturer, date);
+    const documents = await Promise.all(versions.map(async version => ({
+      document: { url: version.url, type: version.documentType ?? 'policy' },
+      rules: await getVersionRules(version.id),
+    })));
+
+    return {
+      manufacturer,
+      inForce: versions,
+      rules: mergeDocumentRules(documents),
+    };
+  },
+});
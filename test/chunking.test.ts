@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkPolicyText, mergeChunkRules, type PolicyChunk, type PolicyPage } from '../src/mastra/policy-sync/chunking';
+import { policyRule } from './support/rules';
+
+// Paragraphs of 100 characters, numbered so their order can be checked
+function paragraph(n: number): string {
+  return `Paragraph ${String(n).padStart(3, '0')} `.padEnd(100, 'x');
+}
+
+function pages(count: number, perPage: number): PolicyPage[] {
+  return Array.from({ length: count }, (_, page) => ({
+    pageNumber: page + 1,
+    text: Array.from({ length: perPage }, (_, i) => paragraph(page * perPage + i)).join('\n\n'),
+  }));
+}
+
+const paragraphs = (chunk: PolicyChunk) => chunk.text.split('\n\n');
+
+test('keeps chunks within the size limit without losing or reordering text', () => {
+  const chunks = chunkPolicyText(pages(3, 8), { maxChars: 500, overlapChars: 0 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.text.length <= 500));
+  assert.deepEqual(chunks.flatMap(paragraphs), Array.from({ length: 24 }, (_, i) => paragraph(i)));
+  assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((_, i) => i));
+  assert.deepEqual([chunks[0].pageStart, chunks.at(-1)!.pageEnd], [1, 3]);
+});
+
+test('repeats the previous chunk\'s trailing paragraphs up to the overlap', () => {
+  const chunks = chunkPolicyText(pages(2, 8), { maxChars: 500, overlapChars: 250 });
+  assert.ok(chunks.length > 2);
+
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = paragraphs(chunks[i - 1]);
+    const current = paragraphs(chunks[i]);
+    // Two 100-character paragraphs (plus separators) fit in 250 characters, three don't
+    assert.deepEqual(current.slice(0, 2), previous.slice(-2));
+    assert.ok(chunks[i].text.length <= 500);
+  }
+});
+
+test('splits an oversized paragraph and starts a chunk at a section heading', () => {
+  const long = Array.from({ length: 12 }, (_, i) => `Line ${i} `.padEnd(80, 'y')).join('\n');
+  const [first, ...rest] = chunkPolicyText([{ pageNumber: 1, text: long }], { maxChars: 300, overlapChars: 0 });
+  assert.ok([first, ...rest].every(chunk => chunk.text.length <= 300));
+  assert.equal([first, ...rest].map(chunk => chunk.text).join('\n'), long);
+
+  const sections = chunkPolicyText([{
+    pageNumber: 1,
+    text: [paragraph(1), paragraph(2), paragraph(3), 'SECTION TWO: DATA', paragraph(4)].join('\n\n'),
+  }], { maxChars: 600, overlapChars: 0 });
+  assert.deepEqual(sections.map(chunk => paragraphs(chunk)[0]), [paragraph(1), 'SECTION TWO: DATA']);
+});
+
+test('merges a rule repeated across a chunk boundary and renumbers the set', () => {
+  const chunk = (index: number, pageStart: number, pageEnd: number): PolicyChunk => ({ index, pageStart, pageEnd, text: '' });
+  const deadline = 'Covered entities that do not submit data within 45 days will lose contract pharmacy access.';
+  const merged = mergeChunkRules([
+    { chunk: chunk(0, 1, 2), rules: [
+      policyRule('R1', { requirement_type: 'esp_registration', evidence_excerpt: 'Register every contract pharmacy on 340B ESP.' }),
+      // The chunk ends mid-sentence, cutting the excerpt short
+      policyRule('R2', { requirement_type: 'submission_deadline', evidence_excerpt: 'Covered entities that do not submit data within 45 days' }),
+    ] },
+    { chunk: chunk(1, 2, 3), rules: [
+      policyRule('R1', { requirement_type: 'submission_deadline', evidence_excerpt: deadline }),
+      policyRule('R2', { requirement_type: 'data_fields', evidence_excerpt: 'Claims must include the prescriber NPI.' }),
+    ] },
+  ]);
+
+  assert.deepEqual(merged.map(r => [r.rule_id, r.requirement_type, r.provenance.chunks]), [
+    ['R001', 'esp_registration', [0]],
+    ['R002', 'submission_deadline', [0, 1]],
+    ['R003', 'data_fields', [1]],
+  ]);
+  // The longer excerpt is kept, with the pages of the chunk the rule was first seen in
+  assert.equal(merged[1].evidence_excerpt, deadline);
+  assert.deepEqual([merged[1].provenance.pageStart, merged[1].provenance.pageEnd], [1, 2]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDistanceLimit, parseEffectiveDates, parseRuleConstraints, ruleInEffectOn } from '../src/mastra/policy-sync/constraints';
+
+test('reads start and end dates from effective date prose', () => {
+  assert.deepEqual(parseEffectiveDates('beginning March 1, 2024'), { effective_from: '2024-03-01', effective_until: null });
+  assert.deepEqual(parseEffectiveDates('Applies to claims beginning 3/1/2024'), { effective_from: '2024-03-01', effective_until: null });
+  assert.deepEqual(parseEffectiveDates('January 1, 2025 through June 30, 2025'), { effective_from: '2025-01-01', effective_until: '2025-06-30' });
+  assert.deepEqual(parseEffectiveDates('Jan 1 2025 - 06/30/2025'), { effective_from: '2025-01-01', effective_until: '2025-06-30' });
+  assert.deepEqual(parseEffectiveDates('Effective July 2024; expires on 12/31/2026'), { effective_from: '2024-07-01', effective_until: '2026-12-31' });
+  assert.deepEqual(parseEffectiveDates('February 30, 2024'), { effective_from: null, effective_until: null });
+  assert.deepEqual(parseEffectiveDates('March 1, 2024 to February 28, 2025'), { effective_from: '2024-03-01', effective_until: '2025-02-28' });
+});
+
+test('reads a date after "prior to" as the day the period ends before, and "up to" as its last day', () => {
+  assert.deepEqual(parseEffectiveDates('Applies to claims with a date of service prior to March 1, 2024'), { effective_from: null, effective_until: '2024-02-29' });
+  assert.deepEqual(parseEffectiveDates('Claims submitted up to 12/31/2025 are eligible for rebate'), { effective_from: null, effective_until: '2025-12-31' });
+  assert.deepEqual(parseEffectiveDates('Beginning 1/1/2025, for claims prior to: 2/1/2025'), { effective_from: '2025-01-01', effective_until: '2025-01-31' });
+  assert.deepEqual(parseEffectiveDates('From July 1, 2024 up to and including June 30, 2025'), { effective_from: '2024-07-01', effective_until: '2025-06-30' });
+  const prior = parseRuleConstraints({ effective_date: 'date of service prior to March 1, 2024', geography_or_location: '' });
+  assert.ok(ruleInEffectOn(prior, '2023-06-01'));
+  assert.ok(!ruleInEffectOn(prior, '2024-03-01'));
+});
+
+test('reads distance limits, states and same-state constraints from geography prose', () => {
+  assert.deepEqual(parseRuleConstraints({ effective_date: '', geography_or_location: 'within 40 miles of the parent site' }), {
+    effective_from: null,
+    effective_until: null,
+    distance_limit: { value: 40, unit: 'miles', from: 'the parent site' },
+    states: [],
+    same_state_as_entity: false,
+  });
+
+  assert.deepEqual(parseDistanceLimit('no more than 1,000 miles'), { value: 1000, unit: 'miles', from: null });
+  assert.deepEqual(parseDistanceLimit('a 1,609.3 km radius of the entity'), { value: 1609.3, unit: 'km', from: 'the entity' });
+
+  const west = parseRuleConstraints({ effective_date: '', geography_or_location: 'Pharmacies in California, Nevada or West Virginia; 64 km radius' });
+  assert.deepEqual(west.states, ['CA', 'NV', 'WV']);
+  assert.deepEqual(west.distance_limit, { value: 64, unit: 'km', from: null });
+
+  const sameState = parseRuleConstraints({ effective_date: '', geography_or_location: 'Same state as the covered entity, TX or OK' });
+  assert.equal(sameState.same_state_as_entity, true);
+  assert.deepEqual(sameState.states, ['OK', 'TX']);
+  // Capitalized words in all-caps text aren't state codes
+  assert.deepEqual(parseRuleConstraints({ effective_date: '', geography_or_location: 'WITHIN 40 MILES OR IN THE SAME STATE AS THE ENTITY' }).states, []);
+});
+
+test('reads capitalized state codes only where they name a place', () => {
+  const states = (geography: string) => parseRuleConstraints({ effective_date: '', geography_or_location: geography }).states;
+  assert.deepEqual(states('within a 25-mile radius from the hospital; TX, OK'), ['OK', 'TX']);
+  assert.deepEqual(states('Pharmacies located in MD or PA'), ['MD', 'PA']);
+  assert.deepEqual(states('the states of ME, NH and VT'), ['ME', 'NH', 'VT']);
+  assert.deepEqual(states('CO'), ['CO']);
+  assert.deepEqual(states('Washington, D.C. and Maryland'), ['DC', 'MD']);
+  // Abbreviations that happen to be state codes
+  assert.deepEqual(states('Prescriber MD or PA on site'), []);
+  assert.deepEqual(states('Pharmacies owned by the CE or its parent CO'), []);
+  assert.deepEqual(states('ME, OR and IN records kept on file'), []);
+  assert.deepEqual(states('within 40 miles; the pharmacy must be OK with sharing data'), []);
+});
+
+test('treats unknown dates as open when checking a rule is in effect', () => {
+  const constraints = parseRuleConstraints({ effective_date: 'January 1, 2025 through June 30, 2025', geography_or_location: '' });
+  assert.ok(ruleInEffectOn(constraints, '2025-06-30'));
+  assert.ok(!ruleInEffectOn(constraints, '2025-07-01'));
+  assert.ok(ruleInEffectOn(parseRuleConstraints({ effective_date: 'on receipt of this notice', geography_or_location: '' }), '1999-01-01'));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRules, hasRuleChanges } from '../src/mastra/policy-sync/diff';
+import type { PolicyRule } from '../src/mastra/policy-sync/rules';
+import { policyRule } from './support/rules';
+
+const DEADLINE = 'Covered entities that do not submit data within 45 days will lose contract pharmacy access.';
+
+// The deadline rule as first extracted
+const DEADLINE_RULE: Partial<PolicyRule> = {
+  requirement_type: 'submission_deadline',
+  condition_summary: 'Covered entities that do not submit data within 45 days lose contract pharmacy access.',
+  effective_date: '2026-04-01',
+  evidence_excerpt: DEADLINE,
+};
+
+test('ignores a rule set the model only reworded', () => {
+  const diff = diffRules([policyRule('R001', DEADLINE_RULE)], [policyRule('R007', {
+    ...DEADLINE_RULE,
+    condition_summary: 'Contract pharmacy access is lost by covered entities that don’t submit data within 45 days.',
+  })]);
+
+  assert.deepEqual([diff.modified, diff.unchanged], [0, 1]);
+  assert.equal(hasRuleChanges(diff), false);
+});
+
+test('counts changed numbers and structured fields as modifications', () => {
+  const diff = diffRules([policyRule('R001', DEADLINE_RULE), policyRule('R002', { requirement_type: 'esp_registration', evidence_excerpt: 'Register on 340B ESP.' })], [
+    policyRule('R001', {
+      ...DEADLINE_RULE,
+      condition_summary: 'Covered entities that do not submit data within 30 days lose contract pharmacy access.',
+      evidence_excerpt: DEADLINE.replace('45', '30'),
+    }),
+    policyRule('R002', { requirement_type: 'esp_registration', evidence_excerpt: 'Register on 340B ESP.', effective_date: '2026-07-01' }),
+  ]);
+
+  assert.equal(diff.modified, 2);
+  assert.deepEqual(diff.changes.map(change => change.fields?.map(field => field.field)), [
+    ['condition_summary', 'evidence_excerpt'],
+    ['effective_date'],
+  ]);
+  assert.equal(hasRuleChanges(diff), true);
+});
+
+test('counts a changed negation or modal word as a modification', () => {
+  const submit = policyRule('R001', {
+    condition_summary: 'Covered entities must submit claims data for contract pharmacy dispenses.',
+    evidence_excerpt: 'Covered entities must submit claims data for all contract pharmacy dispenses.',
+  });
+  const negated = diffRules([submit], [{
+    ...submit,
+    condition_summary: 'Covered entities must not submit claims data for contract pharmacy dispenses.',
+    evidence_excerpt: 'Covered entities must not submit claims data for all contract pharmacy dispenses.',
+  }]);
+  assert.deepEqual(negated.changes.map(change => change.fields?.map(field => field.field)), [['condition_summary', 'evidence_excerpt']]);
+  assert.equal(hasRuleChanges(negated), true);
+
+  const optional = diffRules([submit], [{ ...submit, condition_summary: 'Covered entities may submit claims data for contract pharmacy dispenses.' }]);
+  assert.deepEqual([optional.modified, optional.unchanged], [1, 0]);
+});
+
+test('counts any change to the quoted evidence as a modification', () => {
+  const diff = diffRules([policyRule('R001', DEADLINE_RULE)], [policyRule('R001', {
+    ...DEADLINE_RULE,
+    evidence_excerpt: 'Covered entities that do not submit data within 45 days will lose contract pharmacy access to all products.',
+  })]);
+  assert.deepEqual(diff.changes.map(change => change.fields?.map(field => field.field)), [['evidence_excerpt']]);
+});
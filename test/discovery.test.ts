@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { compareWithRegistry, parseResourcesListing } from '../src/mastra/policy-sync/discovery';
+import type { Manufacturer } from '../src/mastra/policy-sync/registry';
+
+const BASE_URL = 'https://340besp.com/resources';
+const listing = parseResourcesListing(readFileSync(join(__dirname, 'fixtures', '340besp-resources.html'), 'utf-8'), BASE_URL);
+
+function manufacturer(id: string, name: string, policyUrl: string, fields: Partial<Manufacturer> = {}): Manufacturer {
+  return {
+    id,
+    name,
+    aliases: [],
+    labelerCodes: [],
+    documents: [{ url: policyUrl, type: 'policy' }],
+    active: true,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    ...fields,
+  };
+}
+
+const registry = [
+  manufacturer('abbvie', 'AbbVie', 'https://340besp.com/resources/abbvie/policy.pdf'),
+  // Registered without www; listed with it
+  manufacturer('amgen', 'Amgen', 'https://340besp.com/resources/amgen/policy.pdf'),
+  manufacturer('bms', 'Bristol-Myers Squibb', 'https://340besp.com/resources/bristolmyerssquibb/policy.pdf'),
+  manufacturer('lilly', 'Lilly', 'https://340besp.com/resources/elililly/policy.pdf', { aliases: ['Eli Lilly'] }),
+  manufacturer('merck', 'Merck', 'https://340besp.com/resources/merck/policy.pdf'),
+  manufacturer('novonordisk', 'Novo Nordisk', 'https://340besp.com/resources/novonordisk/policy.pdf', { active: false }),
+  manufacturer('sanofi', 'Sanofi', 'https://340besp.com/resources/sanofi/policy.pdf'),
+];
+
+test('lists each PDF link once with the heading it appears under', () => {
+  // Links in comments and scripts, pages that aren't PDFs and repeats of a URL are left out
+  assert.equal(listing.length, 11);
+  assert.ok(listing.every(document => !/oldco|pixel|program-overview/.test(document.url)));
+  assert.equal(listing.filter(document => document.url.includes('/merck/policy.pdf')).length, 1);
+
+  const notice = listing.find(document => document.url.endsWith('/ucb/2026-03-notice.pdf'));
+  assert.deepEqual(notice, {
+    url: 'https://340besp.com/resources/ucb/2026-03-notice.pdf',
+    type: 'notice',
+    title: 'Notice of Policy Update – March 2026',
+    heading: 'UCB, Inc.',
+    slug: 'ucb',
+  });
+});
+
+test('reports new manufacturers and new documents of active known ones', () => {
+  const { newManufacturers, newDocuments } = compareWithRegistry(listing, registry);
+
+  assert.deepEqual(newManufacturers, [{
+    name: 'UCB, Inc.',
+    suggestedId: 'ucb',
+    documents: [{ url: 'https://340besp.com/resources/ucb/2026-03-notice.pdf', type: 'notice', title: 'Notice of Policy Update – March 2026' }],
+  }]);
+  // Registered URLs (over http, with www or a fragment) aren't new, and the inactive
+  // manufacturer's exemption form isn't reported
+  assert.deepEqual(newDocuments.map(({ manufacturer, document }) => [manufacturer, document.url, document.type]), [
+    ['bms', 'https://340besp.com/resources/bristolmyerssquibb/claims-data-submission-guide.pdf', 'data-submission-guide'],
+    ['merck', 'https://340besp.com/resources/merck/FAQ_2026.pdf', 'faq'],
+  ]);
+});
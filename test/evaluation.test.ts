@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRuleSets } from '../src/mastra/policy-sync/evaluation';
+import { parseRuleConstraints } from '../src/mastra/policy-sync/constraints';
+import type { PolicyRule } from '../src/mastra/policy-sync/rules';
+import type { VerifiedRule } from '../src/mastra/policy-sync/evidence';
+import { policyRule } from './support/rules';
+
+const DEADLINE = 'Covered entities that do not submit data within 45 days will lose contract pharmacy access.';
+const FIELDS = 'Claims data must include the Rx number, date of service and prescriber NPI for each 340B dispense.';
+
+// A rule labeled or extracted with the evidence as its summary too
+function rule(id: string, evidence: string, fields: Partial<PolicyRule> = {}): PolicyRule {
+  return policyRule(id, { condition_summary: evidence, evidence_excerpt: evidence, ...fields });
+}
+
+function extracted(id: string, evidence: string, fields: Partial<PolicyRule> = {}): VerifiedRule {
+  const labeled = rule(id, evidence, fields);
+  return {
+    ...labeled,
+    provenance: { chunks: [0], pageStart: 1, pageEnd: 1 },
+    evidence: { status: 'verified', score: 1, page: 1 },
+    source_page: 1,
+    constraints: parseRuleConstraints(labeled),
+  };
+}
+
+test('scores matched rules field by field', () => {
+  const golden = [rule('G1', DEADLINE), rule('G2', FIELDS, { data_requirements: 'Rx number; Date of service; Prescriber NPI' })];
+  const comparison = compareRuleSets(golden, [
+    extracted('R001', DEADLINE),
+    extracted('R002', FIELDS, { data_requirements: 'Rx number', effective_date: '2026-04-01' }),
+  ], { verified: 2, weak: 0, unverified: 0 });
+
+  assert.equal(comparison.matched, 2);
+  assert.equal(comparison.f1, 1);
+  assert.deepEqual(comparison.fields.data_requirements, {
+    truePositives: 0, falsePositives: 1, falseNegatives: 1, precision: 0, recall: 0,
+  });
+  assert.equal(comparison.fields.effective_date.falsePositives, 1);
+  assert.equal(comparison.fields.condition_summary.recall, 1);
+});
+
+test('tells merged and split rules apart from correct ones', () => {
+  const merged = compareRuleSets([rule('G1', DEADLINE), rule('G2', FIELDS)], [
+    extracted('R001', `${FIELDS} ${DEADLINE}`),
+  ], { verified: 1, weak: 0, unverified: 0 });
+  assert.deepEqual(merged.split, { correct: 0, overSplit: 0, merged: 1, score: 0 });
+  assert.equal(merged.recall, 0.5);
+
+  const [first, second] = FIELDS.split(', ');
+  const split = compareRuleSets([rule('G1', FIELDS)], [extracted('R001', first), extracted('R002', second)], {
+    verified: 2, weak: 0, unverified: 1,
+  });
+  assert.deepEqual(split.split, { correct: 0, overSplit: 1, merged: 0, score: 0 });
+  assert.equal(split.precision, 0.5);
+  assert.equal(split.evidence.fidelity, 0.667);
+});
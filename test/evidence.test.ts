@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countEvidence, evidenceForReview, indexPolicyText, sourcePage, verifyEvidence, type EvidenceMatch, type VerifiedRule } from '../src/mastra/policy-sync/evidence';
+import { parseRuleConstraints } from '../src/mastra/policy-sync/constraints';
+import { policyRule } from './support/rules';
+
+const index = indexPolicyText([
+  { pageNumber: 1, text: 'Example Pharma will honor 340B pricing at con-\ntract pharmacies only when the covered entity submits claims data.\nThe manufacturer’s “designated” pharmacy must be registered.' },
+  { pageNumber: 2, text: 'Covered entities that do not submit data within 45 days will lose contract pharmacy access to the products listed below.' },
+]);
+
+const cases: { name: string; excerpt: string; expected: EvidenceMatch }[] = [
+  {
+    name: 'case, whitespace and a line-break hyphen',
+    excerpt: 'EXAMPLE PHARMA will honor 340B pricing   at contract\npharmacies',
+    expected: { status: 'verified', score: 1, page: 1 },
+  },
+  {
+    name: 'straight quotes for curly ones',
+    excerpt: 'The manufacturer\'s "designated" pharmacy must be registered.',
+    expected: { status: 'verified', score: 1, page: 1 },
+  },
+  {
+    name: 'an excerpt running onto the next page',
+    excerpt: 'must be registered. Covered entities that do not submit',
+    expected: { status: 'verified', score: 1, page: 1 },
+  },
+  {
+    name: 'a dropped letter',
+    excerpt: 'Covered entities that do not submit data within 45 day will lose contract pharmacy access',
+    expected: { status: 'verified', score: 0.99, page: 2 },
+  },
+  {
+    name: 'a reworded phrase close to the wording, which drops the negation',
+    excerpt: 'Covered entities that fail to submit data within 45 days will lose contract pharmacy access',
+    expected: { status: 'unverified', score: 0.93, page: null },
+  },
+  {
+    name: 'a changed deadline, however close the rest',
+    excerpt: 'Covered entities that do not submit data within 30 days will lose contract pharmacy access',
+    expected: { status: 'unverified', score: 0.98, page: null },
+  },
+  {
+    name: 'a negation left out',
+    excerpt: 'Covered entities that do submit data within 45 days will lose contract pharmacy access',
+    expected: { status: 'unverified', score: 0.87, page: null },
+  },
+  {
+    name: 'a paraphrase keeping the numbers and negations, between the weak and verified thresholds',
+    excerpt: 'Covered entities that do not submit claims within 45 days will lose their pharmacy access',
+    expected: { status: 'weak', score: 0.87, page: 2 },
+  },
+  {
+    name: 'text the policy does not contain',
+    excerpt: 'Covered entities must register all pharmacies with the manufacturer portal annually',
+    expected: { status: 'unverified', score: 0.27, page: null },
+  },
+  {
+    name: 'an empty excerpt',
+    excerpt: '',
+    expected: { status: 'unverified', score: 0, page: null },
+  },
+];
+
+for (const { name, excerpt, expected } of cases) {
+  test(`evidence check: ${name}`, () => {
+    assert.deepEqual(verifyEvidence(excerpt, index), expected);
+  });
+}
+
+test('falls back to the chunk page for evidence that was not found', () => {
+  const unverified: EvidenceMatch = { status: 'unverified', score: 0.2, page: null };
+  assert.equal(sourcePage({ chunks: [0], pageStart: 3, pageEnd: 3 }, unverified), 3);
+  assert.equal(sourcePage({ chunks: [0], pageStart: 3, pageEnd: 4 }, unverified), null);
+  assert.equal(sourcePage({ chunks: [0], pageStart: 3, pageEnd: 4 }, { status: 'weak', score: 0.8, page: 4 }), 4);
+  assert.deepEqual(countEvidence(cases.map(({ expected }) => expected)), { verified: 4, weak: 1, unverified: 5 });
+});
+
+test('lists weakly matched rules for review', () => {
+  const excerpt = 'Covered entities that do not submit claims within 45 days';
+  const rule = (id: string, evidence: EvidenceMatch): VerifiedRule => ({
+    ...policyRule(id, { evidence_excerpt: excerpt }),
+    provenance: { chunks: [0], pageStart: 2, pageEnd: 2 },
+    evidence,
+    source_page: evidence.page,
+    constraints: parseRuleConstraints({ effective_date: '', geography_or_location: '' }),
+  });
+  const rules = [rule('R001', { status: 'verified', score: 1, page: 2 }), rule('R002', { status: 'weak', score: 0.87, page: 2 })];
+  assert.deepEqual(evidenceForReview(rules), [
+    { rule_id: 'R002', score: 0.87, page: 2, evidence_excerpt: excerpt },
+  ]);
+});
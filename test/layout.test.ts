@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutPage, type TextItem } from '../src/mastra/policy-sync/layout';
+
+// A run of 10pt text at (x, y), about half an em per character wide
+function run(str: string, x: number, y: number, size = 10): TextItem {
+  return { str, transform: [size, 0, 0, size, x, y], width: str.length * size * 0.5, height: size };
+}
+
+// One run per cell, the cells of a line at the given x positions
+function row(y: number, cells: [number, string][]): TextItem[] {
+  return cells.map(([x, str]) => run(str, x, y));
+}
+
+test('joins runs into lines and words, keeping plain lines as text', () => {
+  const items = [
+    run('Covered', 72, 700), run('entities', 110, 700), run('must register.', 152, 700),
+    run('Claims data is due within 45 days.', 72, 686),
+  ];
+  const layout = layoutPage(items);
+  assert.equal(layout.text, 'Covered entities must register.\nClaims data is due within 45 days.');
+  assert.deepEqual(layout.tables, []);
+});
+
+test('renders runs aligned in columns as a Markdown table', () => {
+  const items = [
+    run('Affected products:', 72, 730),
+    ...row(700, [[72, 'Product'], [250, 'NDC'], [400, 'Form']]),
+    ...row(686, [[72, 'Drugname A'], [250, '0002-1234-01'], [400, 'Tablet']]),
+    ...row(672, [[72, 'Drugname B'], [250, '0002-5678-01'], [400, 'Injection']]),
+    ...row(658, [[72, 'Drugname C'], [250, '0002-9012-01'], [400, 'Pen']]),
+    run('Claims data is due within 45 days.', 72, 620),
+  ];
+  const layout = layoutPage(items);
+  assert.deepEqual(layout.tables, [{
+    rows: [
+      ['Product', 'NDC', 'Form'],
+      ['Drugname A', '0002-1234-01', 'Tablet'],
+      ['Drugname B', '0002-5678-01', 'Injection'],
+      ['Drugname C', '0002-9012-01', 'Pen'],
+    ],
+  }]);
+  assert.equal(layout.text, [
+    'Affected products:',
+    '| Product | NDC | Form |\n| --- | --- | --- |\n| Drugname A | 0002-1234-01 | Tablet |\n| Drugname B | 0002-5678-01 | Injection |\n| Drugname C | 0002-9012-01 | Pen |',
+    'Claims data is due within 45 days.',
+  ].join('\n\n'));
+});
+
+test('merges a wrapped line with no first cell into the row above', () => {
+  const items = [
+    ...row(700, [[72, 'Field'], [250, 'Description']]),
+    ...row(686, [[72, 'Rx number'], [250, 'Prescription number as']]),
+    ...row(676, [[250, 'dispensed']]),
+    ...row(662, [[72, 'Fill date'], [250, 'Date dispensed']]),
+  ];
+  assert.deepEqual(layoutPage(items).tables, [{
+    rows: [
+      ['Field', 'Description'],
+      ['Rx number', 'Prescription number as dispensed'],
+      ['Fill date', 'Date dispensed'],
+    ],
+  }]);
+});
+
+test('keeps side-by-side prose columns as prose', () => {
+  const items = [
+    ...row(700, [[72, 'Covered entities that register on 340B ESP'], [320, 'Pharmacies more than forty miles away are']]),
+    ...row(686, [[72, 'may designate a single contract pharmacy'], [320, 'not eligible unless the entity has no']]),
+    ...row(672, [[72, 'when they have no in-house pharmacy.'], [320, 'in-house pharmacy of its own at all.']]),
+  ];
+  const layout = layoutPage(items);
+  assert.deepEqual(layout.tables, []);
+  assert.equal(layout.text.split('\n').length, 3);
+  assert.ok(!layout.text.includes('|'));
+});
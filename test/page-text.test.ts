@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanPolicyPages, dehyphenate, stripRunningLines } from '../src/mastra/policy-sync/page-text';
+
+function page(pageNumber: number, body: string): { pageNumber: number; text: string } {
+  return {
+    pageNumber,
+    text: `EXAMPLE PHARMA, INC.\nConfidential – updated 2026-0${pageNumber}-01\n${body}\nPage ${pageNumber} of 4`,
+  };
+}
+
+test('strips headers and footers repeated on most pages, page numbers and dates included', () => {
+  const pages = [
+    page(1, 'Covered entities must register on 340B ESP.'),
+    page(2, 'Claims data is due within 45 days.'),
+    page(3, 'Page 3 of 4 notes apply to contract pharmacies only.'),
+    { pageNumber: 4, text: 'Appendix: product list' },
+  ];
+  assert.deepEqual(stripRunningLines(pages).map(p => p.text), [
+    'Covered entities must register on 340B ESP.',
+    'Claims data is due within 45 days.',
+    // Only lines at the page's edges count as running, not the same words in the body
+    'Page 3 of 4 notes apply to contract pharmacies only.',
+    'Appendix: product list',
+  ]);
+});
+
+test('keeps repeated table header rows and leaves short documents alone', () => {
+  const table = '| Product | NDC |\n| --- | --- |';
+  const pages = [1, 2, 3].map(n => ({ pageNumber: n, text: `${table}\n| Drug ${n} | 0002-000${n} |` }));
+  assert.deepEqual(stripRunningLines(pages), pages);
+
+  const short = [page(1, 'One.'), page(2, 'Two.')];
+  assert.deepEqual(stripRunningLines(short), short);
+});
+
+test('joins words hyphenated across lines and normalizes whitespace', () => {
+  assert.equal(dehyphenate('Covered entities are eligi-\nble for pricing.'), 'Covered entities are eligible\nfor pricing.');
+  assert.equal(dehyphenate('Register the 340B-\nEligible sites.'), 'Register the 340B-\nEligible sites.');
+  assert.deepEqual(cleanPolicyPages([{ pageNumber: 1, text: 'Submit  claims\u00A0data\r\n\r\n\r\n\r\nwith-\nin 45 days.\u200B' }]), [
+    { pageNumber: 1, text: 'Submit claims data\n\nwithin\n45 days.' },
+  ]);
+});
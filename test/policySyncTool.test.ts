@@ -0,0 +1,185 @@
+/**
+ * Runs the policy sync tool end to end (download, text extraction, LLM,
+ * evidence checks, CSV export and diffing) against PDFs served locally and
+ * LLM responses replayed from test/fixtures/llm, so it needs no network.
+ *
+ * The fixtures are hand-written stand-ins for model responses (their `origin`
+ * says so), giving the rules each prompt should yield for the fixture PDFs.
+ * After changing the prompt or the PDFs, write new ones, or record real
+ * responses with POLICY_SYNC_LLM_MODE=record OPENAI_API_KEY=... npm test.
+ */
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RuntimeContext } from '@mastra/core/runtime-context';
+import { startFixtureServer, type FixtureServer } from './support/fixture-server';
+import { policySyncTool } from '../src/mastra/tools/policySyncTool';
+import { createManufacturer, updateManufacturer } from '../src/mastra/policy-sync/registry';
+import { UnpricedBudgetError, type SyncResult } from '../src/mastra/policy-sync/sync';
+
+const POLICY_PATH = '/example/policy.pdf';
+const RECORDING = process.env.POLICY_SYNC_LLM_MODE === 'record';
+
+let server: FixtureServer;
+let workDir: string;
+const originalCwd = process.cwd();
+
+async function sync(manufacturers = ['example'], budget?: { tokens?: number; usd?: number }): Promise<SyncResult> {
+  const result = await policySyncTool.execute!({ context: { manufacturers, budget }, runtimeContext: new RuntimeContext() });
+  return result as SyncResult;
+}
+
+before(async () => {
+  // Exports and the database go under the working directory
+  workDir = mkdtempSync(join(tmpdir(), 'policy-sync-test-'));
+  process.chdir(workDir);
+  process.env.POLICY_SYNC_DB_URL = `file:${join(workDir, 'policy-sync.db')}`;
+  process.env.POLICY_SYNC_LLM_FIXTURES = join(__dirname, 'fixtures', 'llm');
+  process.env.POLICY_SYNC_LLM_MODE ??= 'replay';
+  process.env.POLICY_SYNC_HOST_INTERVAL_MS = '0';
+  process.env.POLICY_SYNC_MAX_RETRIES = '0';
+
+  server = await startFixtureServer();
+  server.serve(POLICY_PATH, 'example-policy.pdf');
+  await createManufacturer({
+    id: 'example',
+    name: 'Example Pharma',
+    labelerCodes: ['0002'],
+    documents: [{ url: `${server.baseUrl}${POLICY_PATH}`, type: 'policy' }],
+  });
+});
+
+after(async () => {
+  await server?.close();
+  process.chdir(originalCwd);
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+test('extracts, verifies and exports the rules of a new policy', async () => {
+  const result = await sync();
+
+  assert.equal(result.updated, 1);
+  assert.equal(result.failed, 0);
+  const [document] = result.details[0].documents;
+  assert.equal(document.updated, true);
+  assert.deepEqual(document.textExtraction, { method: 'text', tables: 3 });
+  assert.equal(document.rulesCount, 3);
+  assert.deepEqual(document.evidence, { verified: 3, weak: 0, unverified: 0 });
+  assert.deepEqual(document.diff && [document.diff.added, document.diff.removed], [3, 0]);
+  if (!RECORDING) assert.equal(document.model?.provider, 'replay');
+  assert.equal(document.prompt, 'policy-parser@2');
+  assert.equal(document.usage?.calls, 1);
+  assert.ok(document.usage.totalTokens > 0);
+  assert.deepEqual(document.chunks?.usage?.map(chunk => chunk.totalTokens), [document.usage.totalTokens]);
+  assert.deepEqual(result.usage, document.usage);
+
+  const csv = readFileSync(join(workDir, 'output', 'example_340b_rules.csv'), 'utf-8');
+  const [header, ...rows] = csv.trim().split('\n');
+  assert.match(header, /^rule_id,entity_type,.*,evidence_excerpt,source_page,/);
+  assert.equal(rows.length, 3);
+  assert.match(csv, /0002-1433-80/);
+  assert.match(csv, /Prescriber NPI/);
+  // The policy-parser@2 responses answer with vocabulary codes, which pass through unchanged
+  assert.match(rows[0], /^R001,ALL,contract_pharmacy,claims_data_submission,/);
+  assert.equal(document.unmappedValues, undefined);
+  // effective_from, effective_until, distance_limit, distance_from, states, same_state_as_entity
+  assert.match(header, /,effective_from,effective_until,distance_limit,distance_from,states,same_state_as_entity$/);
+  assert.match(rows[0], /,2026-04-01,,,,,false$/);
+});
+
+test('skips a policy the server reports unchanged', async () => {
+  const result = await sync();
+
+  assert.equal(result.unchanged, 1);
+  const [document] = result.details[0].documents;
+  assert.equal(document.skipped, 'source-unchanged');
+  assert.equal(document.sourceMatch, 'http-not-modified');
+  assert.equal(server.requests.at(-1), `GET ${POLICY_PATH} 304`);
+});
+
+test('diffs a revised policy against the current rules', async () => {
+  server.serve(POLICY_PATH, 'example-policy-revised.pdf');
+  const result = await sync();
+
+  assert.equal(result.updated, 1);
+  const [document] = result.details[0].documents;
+  assert.equal(document.updated, true);
+  assert.equal(document.diff?.modified, 2);
+  assert.equal(document.diff?.unchanged, 1);
+
+  const csv = readFileSync(join(workDir, 'output', 'example_340b_rules.csv'), 'utf-8');
+  assert.match(csv, /within 30 days/);
+  assert.doesNotMatch(csv, /within 45 days/);
+  assert.match(csv, /Mounjaro/);
+});
+
+test('fails a document whose prompt was never recorded', { skip: RECORDING }, async () => {
+  // Same text as an FAQ makes for a different prompt than the recorded policy one
+  server.serve('/example/faq.pdf', 'example-policy.pdf');
+  await updateManufacturer('example', {
+    documents: [
+      { url: `${server.baseUrl}${POLICY_PATH}`, type: 'policy' },
+      { url: `${server.baseUrl}/example/faq.pdf`, type: 'faq' },
+    ],
+  });
+  const result = await sync();
+
+  assert.equal(result.failed, 1);
+  const [policy, faq] = result.details[0].documents;
+  assert.equal(policy.skipped, 'source-unchanged');
+  assert.equal(faq.errorStage, 'extraction');
+  assert.match(faq.chunks?.failed[0]?.error ?? '', /No recorded LLM response/);
+});
+
+test('stops calling the LLM once the run budget is used up', async () => {
+  server.serve('/budget/policy.pdf', 'example-policy.pdf');
+  server.serve('/budget/revised.pdf', 'example-policy-revised.pdf');
+  await createManufacturer({
+    id: 'budget',
+    name: 'Budget Pharma',
+    documents: [
+      { url: `${server.baseUrl}/budget/policy.pdf`, type: 'policy' },
+      { url: `${server.baseUrl}/budget/revised.pdf`, type: 'policy' },
+    ],
+  });
+  // One call at a time, so the second sees the tokens the first used
+  process.env.POLICY_SYNC_LLM_CONCURRENCY = '1';
+  try {
+    const result = await sync(['budget'], { tokens: 1 });
+
+    assert.equal(result.updated, 1);
+    assert.equal(result.failed, 0);
+    assert.equal(result.usage.calls, 1);
+    assert.deepEqual(result.budget, { limit: { tokens: 1 }, exhausted: true, skippedManufacturers: ['budget'] });
+    const skipped = result.details[0].documents.filter(document => document.skipped === 'budget-exhausted');
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].error, undefined);
+  } finally {
+    delete process.env.POLICY_SYNC_LLM_CONCURRENCY;
+  }
+
+  // The skipped document wasn't recorded as processed, so the next run extracts it
+  const next = await sync(['budget']);
+  assert.equal(next.updated, 1);
+  assert.equal(next.details[0].documents.filter(document => document.skipped === 'source-unchanged').length, 1);
+});
+
+test('rejects a USD budget for a model with no price', { skip: RECORDING }, async () => {
+  server.serve('/unpriced/policy.pdf', 'example-policy.pdf');
+  await createManufacturer({
+    id: 'unpriced',
+    name: 'Unpriced Pharma',
+    model: { model: 'openai/unpriced-model' },
+    documents: [{ url: `${server.baseUrl}/unpriced/policy.pdf`, type: 'policy' }],
+  });
+  // Replayed calls are free, so only a run against the live model is checked
+  process.env.POLICY_SYNC_LLM_MODE = 'record';
+  try {
+    await assert.rejects(sync(['unpriced'], { usd: 1 }), (error: unknown) =>
+      error instanceof UnpricedBudgetError && error.message.includes('openai/unpriced-model'));
+  } finally {
+    process.env.POLICY_SYNC_LLM_MODE = 'replay';
+  }
+});
@@ -0,0 +1,90 @@
+/**
+ * Prompt lookup, and comparing two prompt versions on a synced policy's
+ * archived text with LLM responses replayed from test/fixtures/llm.
+ */
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RuntimeContext } from '@mastra/core/runtime-context';
+import { startFixtureServer, type FixtureServer } from './support/fixture-server';
+import { policySyncTool } from '../src/mastra/tools/policySyncTool';
+import { createManufacturer } from '../src/mastra/policy-sync/registry';
+import { DEFAULT_PROMPT, UnknownPromptError, getPrompt, promptId } from '../src/mastra/policy-sync/prompts';
+import { comparePrompts, renderPromptComparison } from '../src/mastra/policy-sync/prompt-comparison';
+import type { SyncResult } from '../src/mastra/policy-sync/sync';
+
+let server: FixtureServer;
+let workDir: string;
+const originalCwd = process.cwd();
+
+before(async () => {
+  workDir = mkdtempSync(join(tmpdir(), 'policy-sync-prompts-'));
+  process.chdir(workDir);
+  process.env.POLICY_SYNC_DB_URL = `file:${join(workDir, 'policy-sync.db')}`;
+  process.env.POLICY_SYNC_LLM_FIXTURES = join(__dirname, 'fixtures', 'llm');
+  process.env.POLICY_SYNC_LLM_MODE = 'replay';
+  process.env.POLICY_SYNC_HOST_INTERVAL_MS = '0';
+  process.env.POLICY_SYNC_MAX_RETRIES = '0';
+
+  server = await startFixtureServer();
+  server.serve('/example/policy.pdf', 'example-policy.pdf');
+  await createManufacturer({
+    id: 'example',
+    name: 'Example Pharma',
+    labelerCodes: ['0002'],
+    documents: [{ url: `${server.baseUrl}/example/policy.pdf`, type: 'policy' }],
+  });
+});
+
+after(async () => {
+  await server?.close();
+  process.chdir(originalCwd);
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+test('looks up prompts by name and version, a bare name meaning the latest', () => {
+  assert.equal(getPrompt('policy-parser@1').version, 1);
+  assert.equal(promptId(getPrompt('policy-parser')), DEFAULT_PROMPT);
+  assert.equal(promptId(getPrompt(' policy-parser@2 ')), 'policy-parser@2');
+  assert.equal(promptId({ name: 'policy-parser', version: 3 }), 'policy-parser@3');
+});
+
+test('rejects unknown prompt names and versions, listing the known ones', () => {
+  for (const id of ['policy-parser@9', 'policy-parser@latest', 'rule-parser', 'rule-parser@1', '']) {
+    assert.throws(() => getPrompt(id), (error: unknown) =>
+      error instanceof UnknownPromptError && error.message.includes('policy-parser@1, policy-parser@2'));
+  }
+});
+
+test('compares two prompt versions on archived text without recording a version', async () => {
+  const synced = await policySyncTool.execute!({ context: { manufacturers: ['example'] }, runtimeContext: new RuntimeContext() }) as SyncResult;
+  assert.equal(synced.updated, 1);
+
+  const report = await comparePrompts({ baseline: 'policy-parser@1', candidate: 'policy-parser', manufacturers: ['example'] });
+  assert.equal(report.baseline, 'policy-parser@1');
+  assert.equal(report.candidate, 'policy-parser@2');
+  const [document] = report.documents;
+  assert.equal(document.error, undefined);
+  // @1 answers in free text and @2 in vocabulary codes, which normalize to the same rules
+  assert.deepEqual(report.summary, {
+    documents: 1,
+    failed: 0,
+    baselineRules: 3,
+    candidateRules: 3,
+    added: 0,
+    removed: 0,
+    modified: 0,
+    unchanged: 3,
+  });
+
+  const markdown = renderPromptComparison(report);
+  assert.match(markdown, /^# Prompt comparison: policy-parser@1 vs policy-parser@2\n/);
+  assert.match(markdown, /3 rules with the baseline, 3 with the candidate: 0 added, 0 removed, 0 modified, 3 unchanged\./);
+  assert.ok(!markdown.includes('| Change |'));
+
+  // Comparing only reads the archive, so a second sync finds nothing new
+  const again = await policySyncTool.execute!({ context: { manufacturers: ['example'] }, runtimeContext: new RuntimeContext() }) as SyncResult;
+  assert.equal(again.updated, 0);
+});
@@ -0,0 +1,51 @@
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import type { AddressInfo } from 'net';
+
+export const PDF_FIXTURES = join(__dirname, '..', 'fixtures', 'pdfs');
+
+export interface FixtureServer {
+  baseUrl: string;
+  /** Serves a file from test/fixtures/pdfs at the given path, replacing what was there. */
+  serve(path: string, fixture: string): void;
+  /** Request lines received, e.g. 'GET /example/policy.pdf 304'. */
+  requests: string[];
+  close(): Promise<void>;
+}
+
+/**
+ * Local stand-in for manufacturer sites: serves PDF fixtures with an ETag and
+ * answers matching If-None-Match requests with 304, like a typical web server.
+ */
+export async function startFixtureServer(): Promise<FixtureServer> {
+  const files = new Map<string, Buffer>();
+  const requests: string[] = [];
+
+  const server = createServer((req, res) => {
+    const body = files.get(req.url ?? '');
+    const etag = body && `"${createHash('sha1').update(body).digest('hex')}"`;
+    if (!body) {
+      res.writeHead(404);
+    } else if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { etag });
+    } else {
+      res.writeHead(200, { 'content-type': 'application/pdf', 'content-length': body.length, etag });
+    }
+    res.end(res.statusCode === 200 && req.method !== 'HEAD' ? body : undefined);
+    requests.push(`${req.method} ${req.url} ${res.statusCode}`);
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    serve: (path, fixture) => {
+      files.set(path, readFileSync(join(PDF_FIXTURES, fixture)));
+    },
+    requests,
+    close: () => new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve()))),
+  };
+}
@@ -0,0 +1,22 @@
+import type { PolicyRule } from '../../src/mastra/policy-sync/rules';
+
+/**
+ * A contract pharmacy claims data rule for all covered entities, its prose
+ * fields empty; tests fill in the fields they are about.
+ */
+export function policyRule(id: string, fields: Partial<PolicyRule> = {}): PolicyRule {
+  return {
+    rule_id: id,
+    entity_type: 'ALL',
+    scope_area: 'contract_pharmacy',
+    requirement_type: 'claims_data_submission',
+    condition_summary: '',
+    applies_to_drugs: '',
+    data_requirements: '',
+    geography_or_location: '',
+    effective_date: '',
+    exceptions_or_notes: '',
+    evidence_excerpt: '',
+    ...fields,
+  };
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapVocabularyValue, normalizeVocabulary, ruleMatchesTerm, VOCABULARIES, VOCABULARY_FIELDS } from '../src/mastra/policy-sync/vocabulary';
+import { getPrompt } from '../src/mastra/policy-sync/prompts';
+import { policyRule } from './support/rules';
+
+test('maps the ways policies name entity and requirement types to codes', () => {
+  // Policies write hospital covered entities as "CH", not community health centers
+  assert.equal(mapVocabularyValue('entity_type', 'CH'), 'HOSPITAL');
+  assert.equal(mapVocabularyValue('entity_type', 'community health center'), 'FQHC');
+  assert.equal(mapVocabularyValue('entity_type', 'Covered Entity (hospital)'), 'HOSPITAL');
+  assert.equal(mapVocabularyValue('entity_type', 'hospital covered entities'), 'HOSPITAL');
+  assert.equal(mapVocabularyValue('entity_type', 'DSH, CAH and RRC hospitals'), 'DSH; CAH; RRC');
+  assert.equal(mapVocabularyValue('entity_type', 'Critical access and sole community hospitals'), 'CAH; SCH');
+  assert.equal(mapVocabularyValue('requirement_type', 'Register on 340B ESP'), 'esp_registration');
+  assert.equal(mapVocabularyValue('requirement_type', 'single_contract_pharmacy'), 'single_contract_pharmacy');
+  // One part not matching leaves the whole value unmapped
+  assert.equal(mapVocabularyValue('entity_type', 'DSH and specialty clinics'), null);
+});
+
+test('reports unmapped values with the rules carrying them', () => {
+  const { rules, unmapped } = normalizeVocabulary([
+    policyRule('R001', { entity_type: 'Covered entity', scope_area: 'Contract pharmacy' }),
+    policyRule('R002', { entity_type: 'Hospitals other than CAHs' }),
+    policyRule('R003', { entity_type: 'Hospitals other than CAHs', requirement_type: 'Wholesaler account setup' }),
+  ]);
+
+  assert.deepEqual(rules.map(r => [r.entity_type, r.scope_area, r.requirement_type]), [
+    ['ALL', 'contract_pharmacy', 'claims_data_submission'],
+    ['Hospitals other than CAHs', 'contract_pharmacy', 'claims_data_submission'],
+    ['Hospitals other than CAHs', 'contract_pharmacy', 'Wholesaler account setup'],
+  ]);
+  assert.deepEqual(unmapped, [
+    { field: 'entity_type', value: 'Hospitals other than CAHs', rule_ids: ['R002', 'R003'] },
+    { field: 'requirement_type', value: 'Wholesaler account setup', rule_ids: ['R003'] },
+  ]);
+});
+
+test('filters on a code match rules for the broader types', () => {
+  assert.ok(ruleMatchesTerm(policyRule('R001', { entity_type: 'ALL' }), 'entity_type', 'DSH'));
+  assert.ok(ruleMatchesTerm(policyRule('R001', { entity_type: 'CAH; HOSPITAL' }), 'entity_type', 'DSH'));
+  assert.ok(!ruleMatchesTerm(policyRule('R001', { entity_type: 'GRANTEE' }), 'entity_type', 'DSH'));
+  assert.ok(!ruleMatchesTerm(policyRule('R001', { entity_type: 'DSH' }), 'entity_type', 'HOSPITAL'));
+});
+
+test('the current prompt lists every vocabulary code', () => {
+  const { system } = getPrompt('policy-parser');
+  for (const field of VOCABULARY_FIELDS) {
+    for (const term of VOCABULARIES[field]) {
+      assert.ok(system.includes(`- ${term.code}: ${term.label}\n`), `${field} code ${term.code} missing from the prompt`);
+    }
+  }
+});